@@ -0,0 +1,165 @@
+const { getCooldownMs, getAggregationConfig, getEventZones, getMessageConfig } = require("./config");
+const { escapeHtml } = require("./telegram");
+const { downloadStill } = require("./frigate");
+const notifiers = require("./notifiers");
+const { registerJobType, enqueue } = require("./outbox");
+const { isAwaitingAck } = require("./escalations");
+const { formatTime, formatBurstTitle, translateLabel } = require("./templates");
+
+const MAX_CAPTION_LENGTH = 1024; // Telegram's caption limit, the tightest of the notifiers
+
+// Last alert time (ms) per camera:label:group
+const lastAlerts = new Map();
+
+// Pending bursts per group name: { group, events, timer }
+const batches = new Map();
+
+/**
+ * Drop groups still in cooldown for an event's camera and label, and start the
+ * cooldown for the groups that remain
+ * @param {Object} event
+ * @param {Array<{name: string, type: string, settings: Object}>} groups
+ * @returns {Array<{name: string, type: string, settings: Object}>}
+ */
+function applyCooldown(event, groups) {
+    const now = Date.now();
+
+    return groups.filter((group) => {
+        const cooldown = getCooldownMs(event.camera, event.label, group.name);
+        const key = `${event.camera}:${event.label}:${group.name}`;
+        const lastAlert = lastAlerts.get(key);
+
+        if (cooldown && lastAlert && now - lastAlert < cooldown) {
+            console.log(
+                `🧊 Event ${event.id} skipped for ${group.name}: ${event.camera}/${event.label} in cooldown for ${Math.ceil((cooldown - (now - lastAlert)) / 1000)}s`
+            );
+            return false;
+        }
+
+        lastAlerts.set(key, now);
+        return true;
+    });
+}
+
+/**
+ * Build the combined caption for a burst of events, within Telegram's caption
+ * limit, in the group's language and timezone
+ * @param {Array<Object>} events
+ * @param {string} groupName
+ * @returns {string}
+ */
+function formatBurstCaption(events, groupName) {
+    const { language } = getMessageConfig(undefined, groupName);
+    let caption = `🚨 <b>${escapeHtml(formatBurstTitle(events.length, language))}</b>`;
+
+    for (const event of events) {
+        const settings = getMessageConfig(event.camera, groupName);
+        const zones = getEventZones(event);
+        const line = `\n📷 ${escapeHtml(event.camera)}: ${escapeHtml(translateLabel(event.label, settings.language))}${
+            zones.length ? ` 📍 ${escapeHtml(zones.join(", "))}` : ""
+        } ⏳ ${formatTime(event.start_time, { ...settings, time_format: "HH:mm:ss" })}`;
+
+        if (caption.length + line.length > MAX_CAPTION_LENGTH - 2) {
+            caption += "\n…";
+            break;
+        }
+        caption += line;
+    }
+    return caption;
+}
+
+/**
+ * Send a burst of events to a group as one album with a combined caption, where
+ * the group's notifier supports albums
+ * @param {{name: string, type: string, settings: Object}} group
+ * @param {Array<Object>} events
+ * @returns {Promise<Object>} delivery, see notifiers.toDelivery
+ */
+async function sendBurst(group, events) {
+    const caption = formatBurstCaption(events, group.name);
+    const wantsStills = notifiers.getNotifier(group.settings).mediaKinds.includes("image");
+    const items = wantsStills ? (await Promise.all(events.map(downloadStill))).filter(Boolean) : [];
+
+    console.log(`📤 Sending burst of ${events.length} alerts to group: ${group.name}`);
+
+    return notifiers.sendAlbum(group, items, caption);
+}
+
+registerJobType("burst", ({ payload }, group) => sendBurst(group, payload.events));
+registerJobType("text", async ({ payload }, group) =>
+    notifiers.toDelivery(group, "text", await notifiers.sendText(group, payload.message))
+);
+
+/**
+ * Queue everything collected for a group during its aggregation window
+ * @param {string} groupName
+ * @param {Function} sendSingle - queues one event for groups as a normal alert
+ */
+function flushBatch(groupName, sendSingle) {
+    const batch = batches.get(groupName);
+    batches.delete(groupName);
+    if (!batch) return;
+
+    if (batch.events.length === 1) {
+        sendSingle(batch.events[0], [batch.group]);
+        return;
+    }
+
+    const { max_items } = getAggregationConfig(groupName);
+    const included = batch.events.slice(0, max_items);
+    const extra = batch.events.slice(max_items);
+
+    const burstId = enqueue("burst", groupName, included.map((event) => event.id), { events: included });
+
+    if (extra.length > 0) {
+        const summary = extra
+            .map((event) => `${escapeHtml(event.camera)}: ${escapeHtml(event.label)}`)
+            .join(", ");
+        enqueue(
+            "text",
+            groupName,
+            extra.map((event) => event.id),
+            { message: `➕ <b>+${extra.length} more</b>: ${summary}` },
+            burstId
+        );
+    }
+}
+
+/**
+ * Send an alert to groups, holding it for groups with an aggregation window so
+ * events arriving within the window are merged into a single album. An alert
+ * waiting to be acknowledged is always sent on its own, since albums can't carry
+ * its Acknowledge button.
+ * @param {Object} event
+ * @param {Array<{name: string, type: string, settings: Object}>} groups
+ * @param {Function} sendSingle - (event, groups) queues a normal alert
+ */
+function queueAlert(event, groups, sendSingle) {
+    const immediate = [];
+
+    for (const group of groups) {
+        const { window_ms } = getAggregationConfig(group.name);
+        if (!window_ms || isAwaitingAck(event.id)) {
+            immediate.push(group);
+            continue;
+        }
+
+        let batch = batches.get(group.name);
+        if (!batch) {
+            batch = {
+                group,
+                events: [],
+                timer: setTimeout(() => flushBatch(group.name, sendSingle), window_ms),
+            };
+            batches.set(group.name, batch);
+        }
+        batch.events.push(event);
+    }
+
+    if (immediate.length > 0) sendSingle(event, immediate);
+}
+
+module.exports = {
+    applyCooldown,
+    queueAlert,
+};
@@ -0,0 +1,625 @@
+const axios = require("axios");
+const {
+    config,
+    BOT_CONFIG,
+    STATE_RETENTION_MS,
+    getGroupNamesForCamera,
+    getAllowedLabels,
+    getScheduleForCameraAndGroup,
+    getGroupSchedule,
+    shouldAlertGroup,
+} = require("./config");
+const { describeSchedule } = require("./schedule");
+const { getActiveMode, isArmed } = require("./modes");
+const { acknowledge } = require("./escalations");
+const {
+    apiUrl,
+    escapeHtml,
+    formatAlertMessage,
+    sendToTelegram,
+    sendMediaToTelegram,
+} = require("./telegram");
+const {
+    fetchEvents,
+    fetchEvent,
+    fetchReview,
+    markFalsePositive,
+    deleteEvent,
+    downloadClip,
+    downloadLatestFrame,
+    getMediaDownloaders,
+} = require("./frigate");
+const {
+    ALL_CAMERAS,
+    getActiveMutes,
+    muteCamera,
+    unmuteCamera,
+    getActiveSnoozes,
+    snoozeCamera,
+} = require("./mutes");
+const { getSection, scheduleSave } = require("./state");
+
+const LONG_POLL_TIMEOUT_SECONDS = 30;
+const ERROR_RETRY_DELAY_MS = 5000;
+const STALE_COMMAND_SECONDS = 60; // ignore commands queued up while the service was down
+
+const DURATION_UNITS_MS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+};
+
+const startedAt = Date.now() / 1000;
+let updateOffset = 0;
+
+/**
+ * Parse a duration such as "30m", "2h" or "1h30m"
+ * @param {string} text
+ * @returns {number|null} duration in ms, or null if invalid
+ */
+function parseDuration(text) {
+    if (!text || !/^(\d+[smhd])+$/i.test(text)) return null;
+
+    let total = 0;
+    for (const [, amount, unit] of text.matchAll(/(\d+)([smhd])/gi)) {
+        total += Number(amount) * DURATION_UNITS_MS[unit.toLowerCase()];
+    }
+    return total > 0 ? total : null;
+}
+
+/**
+ * Check if a user is a bot admin (everyone is when no admin list is configured)
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function isAdmin(userId) {
+    return (
+        BOT_CONFIG.admin_user_ids.length === 0 ||
+        BOT_CONFIG.admin_user_ids.includes(userId)
+    );
+}
+
+/**
+ * Check if commands are accepted from a chat: any Telegram group's chat,
+ * or any chat when the sender is a listed admin
+ * @param {string} chatId
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function isAuthorizedChat(chatId, userId) {
+    const groupChatIds = Object.values(config.groups)
+        .filter((g) => g.chat_id)
+        .map((g) => String(g.chat_id));
+    return (
+        groupChatIds.includes(chatId) ||
+        BOT_CONFIG.admin_user_ids.includes(userId)
+    );
+}
+
+/**
+ * Build the /status message: arming mode, groups, cameras, effective schedules and mutes
+ * @returns {string}
+ */
+function formatStatus() {
+    const lines = ["📋 <b>Status</b>"];
+
+    const mode = getActiveMode();
+    lines.push("", `🛡️ <b>Mode:</b> ${mode ? escapeHtml(mode.name) : "none (schedules apply)"}`);
+
+    const mutes = Object.entries(getActiveMutes());
+    const hasSnoozes = Object.keys(getActiveSnoozes()).length > 0;
+    lines.push("", "🔇 <b>Mutes</b>");
+    if (mutes.length === 0 && !hasSnoozes) {
+        lines.push("   None");
+    } else {
+        for (const [camera, until] of mutes) {
+            lines.push(`   ${escapeHtml(camera)} until ${new Date(until).toLocaleString()}`);
+        }
+    }
+    for (const [groupName, cameras] of Object.entries(getActiveSnoozes())) {
+        for (const [camera, until] of Object.entries(cameras)) {
+            lines.push(
+                `   💤 ${escapeHtml(camera)} for ${escapeHtml(groupName)} until ${new Date(until).toLocaleString()}`
+            );
+        }
+    }
+
+    lines.push("", "👥 <b>Groups</b>");
+    for (const [name, group] of Object.entries(config.groups)) {
+        const status = group.enabled !== false ? "✅" : "❌";
+        const schedule = group.always_send
+            ? "always send"
+            : group.schedule
+            ? escapeHtml(describeSchedule(getGroupSchedule(name)))
+            : "default schedule";
+        lines.push(`   ${status} ${escapeHtml(name)}: ${schedule}`);
+    }
+
+    lines.push("", "📹 <b>Cameras</b>");
+    for (const camera of Object.keys(config.cameras || {})) {
+        const labels = getAllowedLabels(camera);
+        lines.push(
+            `📷 ${escapeHtml(camera)} (labels: ${labels ? escapeHtml(labels.join(", ")) : "all"})`
+        );
+        for (const groupName of getGroupNamesForCamera(camera)) {
+            const schedule = getScheduleForCameraAndGroup(camera, groupName);
+            const window = schedule.always_send
+                ? "always send"
+                : escapeHtml(describeSchedule(schedule));
+            const active = (isArmed(camera, groupName) ?? shouldAlertGroup(camera, groupName)) ? "🟢" : "⚪";
+            lines.push(`   ${active} ${escapeHtml(groupName)}: ${window}`);
+        }
+    }
+    lines.push(
+        "",
+        `Other cameras alert: ${escapeHtml((config.default_groups || Object.keys(config.groups)).join(", "))}`,
+        mode ? `🟢 = armed in mode ${escapeHtml(mode.name)}, ⚪ = not armed` : "🟢 = alerting now, ⚪ = outside schedule"
+    );
+
+    return lines.join("\n");
+}
+
+/**
+ * Send an event to a single chat using the usual media fallback chain, with the
+ * message template of the group the chat belongs to
+ * @param {string} chatId
+ * @param {Object} event
+ */
+async function sendEventToChat(chatId, event) {
+    const groupName = Object.keys(config.groups).find(
+        (name) => String(config.groups[name].chat_id) === String(chatId)
+    );
+    const message = formatAlertMessage(event, groupName);
+
+    for (const { download, fileName, label } of getMediaDownloaders(event)) {
+        try {
+            const { buffer, ...media } = await download();
+            if (await sendMediaToTelegram(chatId, buffer, message, fileName, media)) return;
+        } catch (e) {
+            console.log(`⚠️ ${label} download failed after retries, trying next...`);
+        }
+    }
+
+    await sendToTelegram(chatId, message + "\n⚠️ (No media available)");
+}
+
+const COMMANDS = {
+    help: {
+        description: "Show available commands",
+        handler: async () =>
+            [
+                "🤖 <b>Commands</b>",
+                ...Object.entries(COMMANDS).map(
+                    ([name, cmd]) => `/${name}${cmd.usage ? ` ${escapeHtml(cmd.usage)}` : ""} - ${cmd.description}`
+                ),
+            ].join("\n"),
+    },
+    status: {
+        description: "Show groups, cameras and effective schedules",
+        handler: async () => formatStatus(),
+    },
+    mute: {
+        usage: "<camera|all> <duration>",
+        description: "Mute alerts from a camera, e.g. /mute front_door 30m",
+        admin: true,
+        handler: async ([camera, durationText]) => {
+            const duration = parseDuration(durationText);
+            if (!camera || !duration) {
+                return "Usage: /mute &lt;camera|all&gt; &lt;duration&gt; (e.g. 30m, 2h, 1d)";
+            }
+            const until = muteCamera(camera, duration);
+            console.log(`🔇 Muted ${camera} until ${new Date(until).toLocaleString()}`);
+            return `🔇 Muted ${escapeHtml(camera)} until ${new Date(until).toLocaleString()}`;
+        },
+    },
+    unmute: {
+        usage: "[camera|all]",
+        description: "Remove mutes and snoozes for a camera (everything if no camera is given)",
+        admin: true,
+        handler: async ([camera]) => {
+            if (!unmuteCamera(camera)) {
+                return camera && camera !== ALL_CAMERAS
+                    ? `${escapeHtml(camera)} is not muted`
+                    : "Nothing is muted";
+            }
+            console.log(`🔔 Unmuted ${camera || ALL_CAMERAS}`);
+            return `🔔 Unmuted ${escapeHtml(camera || ALL_CAMERAS)}`;
+        },
+    },
+    snapshot: {
+        usage: "<camera>",
+        description: "Get the latest frame from a camera",
+        handler: async ([camera], { chatId }) => {
+            if (!camera) return "Usage: /snapshot &lt;camera&gt;";
+            try {
+                const buffer = await downloadLatestFrame(camera);
+                await sendMediaToTelegram(chatId, buffer, `📷 ${escapeHtml(camera)}`, "snapshot.jpg");
+                return null;
+            } catch (error) {
+                console.error(`❌ Failed to fetch snapshot for ${camera}:`, error.message);
+                return `❌ Could not get a snapshot from ${escapeHtml(camera)}`;
+            }
+        },
+    },
+    last: {
+        usage: "<camera>",
+        description: "Resend the most recent event from a camera",
+        handler: async ([camera], { chatId }) => {
+            if (!camera) return "Usage: /last &lt;camera&gt;";
+            try {
+                const [event] = await fetchEvents({ cameras: camera, limit: 1 });
+                if (!event) return `No events found for ${escapeHtml(camera)}`;
+                await sendEventToChat(chatId, event);
+                return null;
+            } catch (error) {
+                console.error(`❌ Failed to fetch last event for ${camera}:`, error.message);
+                return `❌ Could not get the last event from ${escapeHtml(camera)}`;
+            }
+        },
+    },
+};
+
+/**
+ * Handle a single update from getUpdates
+ * @param {Object} update
+ */
+async function handleUpdate(update) {
+    const message = update.message;
+    if (!message || message.date < startedAt - STALE_COMMAND_SECONDS) return;
+    if (message.reply_to_message && !message.text?.startsWith("/")) {
+        await handleReply(message);
+        return;
+    }
+    if (!message.text?.startsWith("/")) return;
+
+    const chatId = String(message.chat.id);
+    const userId = String(message.from?.id);
+    const [rawCommand, ...args] = message.text.trim().split(/\s+/);
+    const name = rawCommand.slice(1).split("@")[0].toLowerCase();
+    const command = COMMANDS[name];
+
+    if (!isAuthorizedChat(chatId, userId)) {
+        console.log(`🚫 Ignoring /${name} from unauthorized chat ${chatId}`);
+        return;
+    }
+    if (!command) {
+        await sendToTelegram(chatId, `Unknown command /${escapeHtml(name)}, see /help`);
+        return;
+    }
+    if (command.admin && !isAdmin(userId)) {
+        await sendToTelegram(chatId, `⛔ Only admins can use /${name}`);
+        return;
+    }
+
+    console.log(`🤖 /${name} ${args.join(" ")} from ${userId} in chat ${chatId}`);
+    const reply = await command.handler(args, { chatId, userId, message });
+    if (reply) await sendToTelegram(chatId, reply);
+}
+
+/**
+ * Handle a reply to a message: replying to an alert with an Acknowledge button
+ * acknowledges it, like pressing the button
+ * @param {Object} message - the reply
+ */
+async function handleReply(message) {
+    const alert = message.reply_to_message;
+    const ackData = (alert.reply_markup?.inline_keyboard || [])
+        .flat()
+        .map((button) => button.callback_data)
+        .find((data) => data?.startsWith("ack:"));
+    if (!ackData) return;
+
+    const chatId = String(message.chat.id);
+    if (!isAuthorizedChat(chatId, String(message.from?.id))) return;
+
+    const user = formatUser(message.from);
+    const { toast, text } = acknowledgeAlert(ackData.slice("ack:".length), user);
+    if (text) await appendActionToMessage(alert, text, true, "ack");
+    await sendToTelegram(chatId, escapeHtml(toast));
+}
+
+/**
+ * Describe the user who pressed a button or sent a command
+ * @param {Object} user - Telegram user
+ * @returns {string}
+ */
+function formatUser(user) {
+    return user?.username ? `@${user.username}` : user?.first_name || String(user?.id);
+}
+
+/**
+ * Answer a callback query so the button stops spinning
+ * @param {string} callbackQueryId
+ * @param {string} [text] - optional toast shown to the user
+ */
+async function answerCallbackQuery(callbackQueryId, text) {
+    try {
+        await axios.post(apiUrl("answerCallbackQuery"), {
+            callback_query_id: callbackQueryId,
+            text,
+        });
+    } catch (error) {
+        console.error(
+            "❌ Failed to answer callback query:",
+            error.response?.data?.description || error.message
+        );
+    }
+}
+
+/**
+ * Append a line describing an action to an alert message, keeping its formatting
+ * @param {Object} message - the Telegram message the button belongs to
+ * @param {string} actionText
+ * @param {boolean} keepButtons - false removes the inline keyboard
+ * @param {string} [removeAction] - drop this action's buttons (e.g. "ack") and keep the rest
+ */
+async function appendActionToMessage(message, actionText, keepButtons, removeAction) {
+    let replyMarkup = keepButtons ? message.reply_markup : undefined;
+    if (replyMarkup && removeAction) {
+        const rows = replyMarkup.inline_keyboard
+            .map((row) => row.filter((button) => !button.callback_data?.startsWith(`${removeAction}:`)))
+            .filter((row) => row.length > 0);
+        replyMarkup = rows.length > 0 ? { inline_keyboard: rows } : undefined;
+    }
+
+    const payload = {
+        chat_id: message.chat.id,
+        message_id: message.message_id,
+        reply_markup: replyMarkup,
+    };
+
+    let method;
+    if (message.text !== undefined) {
+        method = "editMessageText";
+        payload.text = `${message.text}\n\n${actionText}`;
+        payload.entities = message.entities;
+    } else {
+        method = "editMessageCaption";
+        payload.caption = message.caption
+            ? `${message.caption}\n\n${actionText}`
+            : actionText;
+        payload.caption_entities = message.caption_entities;
+    }
+
+    try {
+        await axios.post(apiUrl(method), payload);
+    } catch (error) {
+        console.error(
+            "❌ Failed to update alert message:",
+            error.response?.data?.description || error.message
+        );
+    }
+}
+
+/**
+ * Record an event marked as a false positive, dropping records past the state retention
+ * @param {Object} event
+ * @param {string} markedBy
+ */
+function recordFalsePositive(event, markedBy) {
+    const falsePositives = getSection("false_positives");
+    const cutoff = Date.now() - STATE_RETENTION_MS;
+
+    for (const [id, record] of Object.entries(falsePositives)) {
+        if (record.marked_at < cutoff) delete falsePositives[id];
+    }
+
+    falsePositives[event.id] = {
+        camera: event.camera,
+        label: event.label,
+        marked_by: markedBy,
+        marked_at: Date.now(),
+    };
+    scheduleSave();
+}
+
+/**
+ * Acknowledge an escalating alert for the Acknowledge button or a reply
+ * @param {string} eventId
+ * @param {string} user
+ * @returns {{toast: string, text: string|null}} plain text; text is appended to the alert,
+ *   null when there is nothing new to record on it
+ */
+function acknowledgeAlert(eventId, user) {
+    const result = acknowledge(eventId, user);
+    if (result.status === "unknown") {
+        return { toast: "❌ Nothing to acknowledge", text: null };
+    }
+    if (result.status === "already_acknowledged") {
+        const by = result.acknowledged_by;
+        return { toast: `Already acknowledged by ${by}`, text: `✅ Acknowledged by ${by}` };
+    }
+    return { toast: "✅ Acknowledged", text: `✅ Acknowledged by ${user}` };
+}
+
+// Inline button actions, keyed by the prefix of their callback data
+const CALLBACK_ACTIONS = {
+    ack: {
+        handler: async (idParts, { user, answer }) => {
+            const { toast, text } = acknowledgeAlert(idParts.join(":"), user);
+            await answer(toast);
+            return text && { text, keepButtons: true, removeAction: "ack" };
+        },
+    },
+    snooze: {
+        admin: true,
+        handler: async ([duration, ...cameraParts], { chatId, user, answer }) => {
+            const camera = cameraParts.join(":");
+            const durationMs = parseDuration(duration);
+            const groupNames = Object.entries(config.groups)
+                .filter(([, group]) => String(group.chat_id) === chatId)
+                .map(([name]) => name);
+
+            if (!durationMs || groupNames.length === 0) {
+                await answer("❌ Can't snooze from this chat");
+                return null;
+            }
+
+            for (const groupName of groupNames) {
+                snoozeCamera(camera, groupName, durationMs);
+            }
+            console.log(`💤 ${camera} snoozed for ${groupNames.join(", ")} (${duration}) by ${user}`);
+            await answer(`💤 ${camera} snoozed for ${duration}`);
+            return { text: `💤 ${camera} snoozed for ${duration} by ${user}`, keepButtons: true };
+        },
+    },
+    fp: {
+        admin: true,
+        // "fp:<id>:review" marks every tracked object of a review segment
+        handler: async ([eventId, kind], { user, answer }) => {
+            let event = { id: eventId };
+            let fetched = true;
+            try {
+                event = kind === "review" ? await fetchReview(eventId) : await fetchEvent(eventId);
+            } catch (error) {
+                console.log(`⚠️ Could not fetch ${kind === "review" ? "review" : "event"} ${eventId}: ${error.message}`);
+                fetched = false;
+            }
+
+            let frigateResult = "";
+            if (!fetched && kind === "review") {
+                // A review ID isn't an event ID: without the segment its objects are unknown
+                console.error(`❌ Review ${eventId} not updated in Frigate: it couldn't be fetched`);
+                frigateResult = " (review not found in Frigate, not updated there)";
+            } else {
+                try {
+                    for (const id of event.detections || [eventId]) {
+                        if (BOT_CONFIG.false_positive_action === "delete") {
+                            await deleteEvent(id);
+                            frigateResult = " (deleted from Frigate)";
+                        } else if (BOT_CONFIG.false_positive_action === "false_positive") {
+                            await markFalsePositive(id);
+                        }
+                    }
+                } catch (error) {
+                    console.error(
+                        `❌ Failed to update event ${eventId} in Frigate:`,
+                        error.response?.data?.message || error.message
+                    );
+                    frigateResult = " (Frigate update failed)";
+                }
+            }
+
+            recordFalsePositive(event, user);
+            console.log(`🚫 Event ${eventId} marked as false positive by ${user}`);
+            await answer("🚫 Marked as false positive");
+            return {
+                text: `🚫 Marked as false positive by ${user}${frigateResult}`,
+                keepButtons: false,
+            };
+        },
+    },
+    clip: {
+        handler: async ([eventId, kind], { chatId, user, message, answer }) => {
+            let event;
+            try {
+                event = kind === "review" ? await fetchReview(eventId) : await fetchEvent(eventId);
+            } catch (error) {
+                console.error(`❌ Could not fetch event ${eventId}:`, error.message);
+                await answer("❌ Event not found in Frigate");
+                return null;
+            }
+            if (!event.end_time) {
+                await answer("⏳ Event still in progress, try again once it ends");
+                return null;
+            }
+
+            await answer("🎬 Fetching full clip...");
+            try {
+                const { buffer, ...clip } = await downloadClip(event);
+                const sent = await sendMediaToTelegram(chatId, buffer, null, "clip.mp4", {
+                    ...clip,
+                    replyToMessageId: message.message_id,
+                });
+                if (!sent) return { text: `❌ Full clip could not be sent (requested by ${user})`, keepButtons: true };
+            } catch (error) {
+                console.error(`❌ Failed to download clip for ${eventId}:`, error.message);
+                return { text: `❌ Full clip unavailable (requested by ${user})`, keepButtons: true };
+            }
+            return { text: `🎬 Full clip sent (requested by ${user})`, keepButtons: true };
+        },
+    },
+};
+
+/**
+ * Handle an inline button press on an alert
+ * @param {Object} query - Telegram callback query
+ */
+async function handleCallbackQuery(query) {
+    const answer = (text) => answerCallbackQuery(query.id, text);
+    if (!query.message || !query.data) return answer();
+
+    const chatId = String(query.message.chat.id);
+    const userId = String(query.from?.id);
+    const [name, ...args] = query.data.split(":");
+    const action = CALLBACK_ACTIONS[name];
+
+    if (!action || !isAuthorizedChat(chatId, userId)) {
+        return answer("⛔ Not allowed here");
+    }
+    if (action.admin && !isAdmin(userId)) {
+        return answer("⛔ Only admins can do that");
+    }
+
+    const user = formatUser(query.from);
+    const result = await action.handler(args, {
+        chatId,
+        user,
+        message: query.message,
+        answer,
+    });
+    if (result) {
+        await appendActionToMessage(query.message, result.text, result.keepButtons, result.removeAction);
+    }
+}
+
+/**
+ * Long-poll Telegram for bot updates forever
+ */
+async function pollUpdates() {
+    for (;;) {
+        try {
+            const response = await axios.get(apiUrl("getUpdates"), {
+                params: {
+                    offset: updateOffset,
+                    timeout: LONG_POLL_TIMEOUT_SECONDS,
+                    allowed_updates: JSON.stringify(["message", "callback_query"]),
+                },
+                timeout: (LONG_POLL_TIMEOUT_SECONDS + 10) * 1000,
+            });
+
+            for (const update of response.data.result) {
+                updateOffset = update.update_id + 1;
+                // Not awaited, so a slow clip download doesn't hold up other commands
+                const handled = update.callback_query
+                    ? handleCallbackQuery(update.callback_query)
+                    : handleUpdate(update);
+                handled.catch((error) => {
+                    console.error("❌ Error handling bot update:", error.message);
+                });
+            }
+        } catch (error) {
+            console.error(
+                "❌ Error fetching bot updates:",
+                error.response?.data?.description || error.message
+            );
+            await new Promise((r) => setTimeout(r, ERROR_RETRY_DELAY_MS));
+        }
+    }
+}
+
+/**
+ * Start the Telegram command and alert button interface if enabled
+ */
+function startBot() {
+    if (!BOT_CONFIG.enabled) return;
+
+    console.log("🤖 Telegram bot commands enabled");
+    pollUpdates();
+}
+
+module.exports = {
+    startBot,
+    parseDuration,
+};
@@ -1,12 +1,15 @@
 require("dotenv").config();
 const fs = require("fs");
+const { DEFAULT_START_TIME, DEFAULT_END_TIME, isWithinSchedule } = require("./schedule");
+const { validateConfig } = require("./schema");
+const { splitName } = require("./instances");
 
 // Load configuration
 const CONFIG_PATH = process.env.CONFIG_PATH || "./config.json";
 let config;
 
 try {
-    config = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+    config = readConfigFile();
     console.log("✅ Configuration loaded from", CONFIG_PATH);
 } catch (error) {
     console.error("❌ Failed to load config file:", error.message);
@@ -16,29 +19,225 @@ try {
     process.exit(1);
 }
 
+// Validate before anything reads the config
+const initialCheck = checkConfig(config);
+for (const warning of initialCheck.warnings) console.warn(`⚠️ ${warning}`);
+if (initialCheck.errors.length > 0) {
+    for (const error of initialCheck.errors) console.error(`❌ ${error}`);
+    process.exit(1);
+}
+
 // Configuration with fallbacks to environment variables for backwards compatibility
 const TELEGRAM_BOT_TOKEN =
     config.telegram_bot_token || process.env.TELEGRAM_BOT_TOKEN;
-const FRIGATE_API_URL = config.frigate_api_url || process.env.API_URL;
+// frigate_api_url is one Frigate's URL, or a list of named instances whose
+// auth, tls, mqtt and ingest_mode default to the root-level settings
+const FRIGATE_INSTANCES = (
+    Array.isArray(config.frigate_api_url)
+        ? config.frigate_api_url
+        : [{ url: config.frigate_api_url || process.env.API_URL, ui_url: config.frigate_ui_url }]
+).map(toFrigateInstance);
 const POLL_INTERVAL = (config.poll_interval_seconds || 10) * 1000;
 const WEBHOOK_URL = config.webhook_url || process.env.WEBHOOK_TRIGGER;
 const MEDIA_RETRY_ATTEMPTS = config.media_retry_attempts || 4;
 const MEDIA_RETRY_DELAY_MS = (config.media_retry_delay_seconds || 3) * 1000;
+const MAX_ALBUM_ITEMS = 10; // Telegram's limit for sendMediaGroup
+const STATE_PATH = config.state_file || process.env.STATE_PATH || "./state.json";
+const STATE_RETENTION_MS = (config.state_retention_hours || 48) * 60 * 60 * 1000;
+const CATCHUP_WINDOW_MS = (config.catchup_window_minutes ?? 60) * 60 * 1000;
+const BOT_CONFIG = {
+    enabled: config.bot?.enabled === true,
+    admin_user_ids: (config.bot?.admin_user_ids || []).map(String),
+    false_positive_action: config.bot?.false_positive_action || "false_positive",
+};
+const HTTP_CONFIG = {
+    enabled: config.http?.enabled === true,
+    host: config.http?.host || "0.0.0.0",
+    port: config.http?.port || 8080,
+    unhealthy_after_ms: (config.http?.unhealthy_after_minutes || 5) * 60 * 1000,
+    token: config.http?.token || process.env.HTTP_TOKEN || null,
+};
+const HISTORY_CONFIG = {
+    enabled: config.history?.enabled !== false,
+    path: config.history?.file || process.env.HISTORY_PATH || "./history.jsonl",
+    retention_ms: (config.history?.retention_days || 30) * 24 * 60 * 60 * 1000,
+};
 
-// Validate required configuration
-if (!TELEGRAM_BOT_TOKEN) {
-    console.error("❌ Missing telegram_bot_token in config");
-    process.exit(1);
+// Settings read once at startup; changing them needs a restart
+const RESTART_SETTINGS = [
+    "frigate_api_url",
+    "frigate_ui_url",
+    "frigate_auth",
+    "frigate_tls",
+    "telegram_bot_token",
+    "poll_interval_seconds",
+    "webhook_url",
+    "media_retry_attempts",
+    "media_retry_delay_seconds",
+    "ingest_mode",
+    "ingest_source",
+    "mqtt",
+    "state_file",
+    "state_retention_hours",
+    "catchup_window_minutes",
+    "bot",
+    "http",
+    "history",
+];
+
+/**
+ * Build a Frigate instance's settings from its config entry, with root-level
+ * settings and environment variables as defaults
+ * @param {Object} instance - entry of frigate_api_url
+ * @returns {{name: string|null, url: string, ui_url: string|null, auth: Object, tls: Object, mqtt: Object, ingest_mode: string, ingest_source: string}}
+ */
+function toFrigateInstance(instance) {
+    const name = instance.name || null;
+    const auth = { ...config.frigate_auth, ...instance.auth };
+    const tls = { ...config.frigate_tls, ...instance.tls };
+    const mqtt = { ...config.mqtt, ...instance.mqtt };
+    const mqttUrl = mqtt.url || process.env.MQTT_URL;
+
+    return {
+        name,
+        url: instance.url,
+        ui_url: (instance.ui_url || instance.url?.replace(/\/api\/?$/, "") || "").replace(/\/$/, "") || null,
+        auth: {
+            username: auth.username || process.env.FRIGATE_USERNAME,
+            password: auth.password || process.env.FRIGATE_PASSWORD,
+            token: auth.token || process.env.FRIGATE_TOKEN,
+            headers: auth.headers || {},
+            cookie_name: auth.cookie_name || "frigate_token",
+        },
+        tls: {
+            ca_file: tls.ca_file,
+            cert_file: tls.cert_file,
+            key_file: tls.key_file,
+            insecure_skip_verify: tls.insecure_skip_verify === true,
+        },
+        mqtt: {
+            url: mqttUrl,
+            username: mqtt.username || process.env.MQTT_USERNAME,
+            password: mqtt.password || process.env.MQTT_PASSWORD,
+            topic_prefix: mqtt.topic_prefix || "frigate",
+            client_id: mqtt.client_id || `frigate-alerts-${process.pid}${name ? `-${name}` : ""}`,
+        },
+        ingest_mode: instance.ingest_mode || config.ingest_mode || (mqttUrl ? "mqtt" : "poll"),
+        ingest_source: instance.ingest_source || config.ingest_source || "events",
+    };
 }
 
-if (!FRIGATE_API_URL) {
-    console.error("❌ Missing frigate_api_url in config");
-    process.exit(1);
+/**
+ * Get a Frigate instance's settings
+ * @param {string|null} [name] - null or undefined for the unnamed instance
+ * @returns {Object|undefined} see toFrigateInstance
+ */
+function getFrigateInstance(name) {
+    return FRIGATE_INSTANCES.find((instance) => instance.name === (name ?? null));
 }
 
-if (!config.groups || Object.keys(config.groups).length === 0) {
-    console.error("❌ No groups defined in config");
-    process.exit(1);
+/**
+ * Get a camera's config. A qualified name ("site/camera") matches its own
+ * entry first, then the plain camera name, which applies on every site.
+ * @param {string} [cameraName]
+ * @returns {Object|undefined}
+ */
+function getCameraConfig(cameraName) {
+    if (cameraName === undefined) return undefined;
+    return config.cameras?.[cameraName] ?? config.cameras?.[splitName(cameraName).name];
+}
+
+// Called with the new config after each successful reload
+const reloadListeners = [];
+
+/**
+ * Read and parse the config file
+ * @returns {Object}
+ */
+function readConfigFile() {
+    return JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+}
+
+/**
+ * Validate a config: the schema, plus required settings that can also come
+ * from environment variables
+ * @param {Object} cfg
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function checkConfig(cfg) {
+    const { errors, warnings } = validateConfig(cfg);
+
+    const usesTelegram =
+        cfg.bot?.enabled === true ||
+        Object.values(cfg.groups || {}).some((group) => (group?.type || "telegram") === "telegram");
+    if (usesTelegram && !(cfg.telegram_bot_token || process.env.TELEGRAM_BOT_TOKEN)) {
+        errors.push("telegram_bot_token: required for Telegram groups and bot commands");
+    }
+    if (!(cfg.frigate_api_url || process.env.API_URL)) {
+        errors.push("frigate_api_url: required");
+    }
+    const instances = Array.isArray(cfg.frigate_api_url) ? cfg.frigate_api_url : [{}];
+    instances.forEach((instance, i) => {
+        const mqttUrl = instance?.mqtt?.url || cfg.mqtt?.url || process.env.MQTT_URL;
+        const ingestMode = instance?.ingest_mode || cfg.ingest_mode || (mqttUrl ? "mqtt" : "poll");
+        if (ingestMode === "mqtt" && !mqttUrl) {
+            const path = Array.isArray(cfg.frigate_api_url) ? `frigate_api_url[${i}].mqtt.url` : "mqtt.url";
+            errors.push(`${path}: required for ingest_mode "mqtt"`);
+        }
+    });
+    return { errors, warnings };
+}
+
+/**
+ * Register a function to call after the config is reloaded, e.g. to drop caches
+ * built from the old settings
+ * @param {Function} listener - (config) => void
+ */
+function onConfigReload(listener) {
+    reloadListeners.push(listener);
+}
+
+/**
+ * Re-read the config file and apply it in place, so every module holding `config`
+ * sees the new settings from its next lookup on. Events being processed carry on
+ * undisturbed. Settings in RESTART_SETTINGS keep their current values.
+ * @param {Function} [validateExtra] - (config) => errors, for checks that live outside this module
+ * @returns {boolean} true if the new config was applied; false keeps the current one
+ */
+function reloadConfig(validateExtra = () => []) {
+    let next;
+    try {
+        next = readConfigFile();
+    } catch (error) {
+        console.error(`❌ Config reload failed, keeping current config: ${error.message}`);
+        return false;
+    }
+
+    const { errors, warnings } = checkConfig(next);
+    errors.push(...validateExtra(next));
+    for (const warning of warnings) console.warn(`⚠️ ${warning}`);
+    if (errors.length > 0) {
+        console.error("❌ Config reload failed, keeping current config:");
+        for (const error of errors) console.error(`   ${error}`);
+        return false;
+    }
+
+    const needsRestart = RESTART_SETTINGS.filter(
+        (key) => JSON.stringify(next[key]) !== JSON.stringify(config[key])
+    );
+    for (const key of RESTART_SETTINGS) {
+        if (config[key] === undefined) delete next[key];
+        else next[key] = config[key];
+    }
+    for (const key of Object.keys(config)) delete config[key];
+    Object.assign(config, next);
+
+    if (needsRestart.length > 0) {
+        console.warn(`⚠️ Changes to ${needsRestart.join(", ")} need a restart to take effect`);
+    }
+    for (const listener of reloadListeners) listener(config);
+    console.log("✅ Configuration reloaded from", CONFIG_PATH);
+    return true;
 }
 
 /**
@@ -47,7 +246,7 @@ if (!config.groups || Object.keys(config.groups).length === 0) {
  * @returns {Array<string>}
  */
 function getGroupNamesForCamera(cameraName) {
-    const cameraConfig = config.cameras?.[cameraName];
+    const cameraConfig = getCameraConfig(cameraName);
     return (
         cameraConfig?.groups ||
         config.default_groups ||
@@ -56,43 +255,127 @@ function getGroupNamesForCamera(cameraName) {
 }
 
 /**
- * Get enabled groups that should receive alerts for a camera
- * @param {string} cameraName
- * @returns {Array<{name: string, chat_id: string}>}
+ * Get the zones an event's object has been in
+ * @param {Object} event
+ * @returns {Array<string>}
  */
-function getGroupsForCamera(cameraName) {
-    const groupNames = getGroupNamesForCamera(cameraName);
+function getEventZones(event) {
+    return [
+        ...new Set([
+            ...(event.entered_zones || event.zones || []),
+            ...(event.current_zones || []),
+        ]),
+    ];
+}
 
+/**
+ * Get the list of group names for an event: groups routed by the zones it entered
+ * (camera.zones.groups), otherwise the camera's groups
+ * @param {Object} event
+ * @returns {Array<string>}
+ */
+function getGroupNamesForEvent(event) {
+    const zoneGroups = getCameraConfig(event.camera)?.zones?.groups;
+    if (zoneGroups) {
+        const routed = getEventZones(event).flatMap((zone) => zoneGroups[zone] || []);
+        if (routed.length > 0) return [...new Set(routed)];
+    }
+    return getGroupNamesForCamera(event.camera);
+}
+
+/**
+ * Check if an event has entered a zone routed to groups (camera.zones.groups)
+ * @param {Object} event
+ * @returns {boolean} true when the camera doesn't route by zone
+ */
+function isZoneRouted(event) {
+    const zoneGroups = getCameraConfig(event.camera)?.zones?.groups;
+    return !zoneGroups || getEventZones(event).some((zone) => zoneGroups[zone]?.length > 0);
+}
+
+/**
+ * Get enabled groups that should receive live alerts for a camera (groups in
+ * "digest" mode only get the scheduled digest)
+ * @param {string} cameraName
+ * @param {Array<string>} [groupNames] - defaults to the camera's groups
+ * @returns {Array<{name: string, type: string, settings: Object}>}
+ */
+function getGroupsForCamera(cameraName, groupNames = getGroupNamesForCamera(cameraName)) {
     return groupNames
-        .filter((name) => config.groups[name]?.enabled !== false)
+        .filter((name) => config.groups[name] && config.groups[name].enabled !== false)
+        .filter((name) => config.groups[name].mode !== "digest")
         .map((name) => ({
             name,
-            chat_id: config.groups[name]?.chat_id,
-        }))
-        .filter((g) => g.chat_id);
+            type: config.groups[name].type || "telegram",
+            settings: config.groups[name],
+        }));
 }
 
 /**
- * Check if the current time is within a schedule
- * @param {string} startTime
- * @param {string} endTime
- * @returns {boolean}
+ * Get the review severities a group is alerted for (group.severities)
+ * @param {string} groupName
+ * @returns {Array<string>} "alert" and/or "detection", default alerts only
  */
-function isWithinSchedule(startTime, endTime) {
-    const now = new Date();
-    const [startHour, startMinute] = startTime.split(":").map(Number);
-    const [endHour, endMinute] = endTime.split(":").map(Number);
+function getGroupSeverities(groupName) {
+    return config.groups?.[groupName]?.severities || ["alert"];
+}
 
-    const nowMinutes = now.getHours() * 60 + now.getMinutes();
-    const startMinutes = startHour * 60 + startMinute;
-    const endMinutes = endHour * 60 + endMinute;
+/**
+ * Get enabled groups that should receive alerts for an event, honouring zone
+ * routing and, for review segments, each group's severities
+ * @param {Object} event
+ * @returns {Array<{name: string, type: string, settings: Object}>}
+ */
+function getGroupsForEvent(event) {
+    return getGroupsForCamera(event.camera, getGroupNamesForEvent(event)).filter(
+        (group) => !event.severity || getGroupSeverities(group.name).includes(event.severity)
+    );
+}
 
-    if (startMinutes <= endMinutes) {
-        return nowMinutes >= startMinutes && nowMinutes <= endMinutes;
-    } else {
-        // Timeframe crosses midnight
-        return nowMinutes >= startMinutes || nowMinutes <= endMinutes;
-    }
+/**
+ * Merge schedule settings from levels ordered most to least specific.
+ * Each level is an object with optional `schedule` and `always_send`. A schedule
+ * either lists `windows` or uses the single-window `start_time` / `end_time`
+ * format, where missing times fall back to the next level.
+ * @param {Array<{schedule?: Object, always_send?: boolean}|undefined>} levels
+ * @returns {{start_time: string, end_time: string, windows: Array<Object>, timezone?: string, exceptions: Array<Object>, location?: Object, always_send: boolean}}
+ */
+function resolveSchedule(levels) {
+    const schedules = levels.map((level) => level?.schedule).filter(Boolean);
+    const first = (field) => schedules.find((s) => s[field] !== undefined)?.[field];
+    const primary = schedules.find((s) => s.windows || s.start_time || s.end_time);
+
+    const windows = primary?.windows || [
+        {
+            start_time: first("start_time") || DEFAULT_START_TIME,
+            end_time: first("end_time") || DEFAULT_END_TIME,
+        },
+    ];
+
+    return {
+        start_time: windows[0]?.start_time || DEFAULT_START_TIME,
+        end_time: windows[0]?.end_time || DEFAULT_END_TIME,
+        windows,
+        timezone: first("timezone") || config.timezone,
+        exceptions: first("exceptions") || [],
+        location: config.location,
+        always_send:
+            levels.map((level) => level?.always_send).find((v) => v !== undefined) ??
+            false,
+    };
+}
+
+/**
+ * Get the default schedule as a precedence level
+ * @returns {{schedule: Object, always_send?: boolean}}
+ */
+function getDefaultLevel() {
+    const defaultSchedule = config.default_schedule || {
+        start_time: DEFAULT_START_TIME,
+        end_time: DEFAULT_END_TIME,
+        always_send: false,
+    };
+    return { schedule: defaultSchedule, always_send: defaultSchedule.always_send };
 }
 
 /**
@@ -100,110 +383,67 @@ function isWithinSchedule(startTime, endTime) {
  * Priority: camera.group_schedules.X > camera.schedule > group.schedule > default_schedule
  * @param {string} cameraName
  * @param {string} groupName
- * @returns {{start_time: string, end_time: string, always_send: boolean}}
+ * @returns {{start_time: string, end_time: string, windows: Array<Object>, timezone?: string, exceptions: Array<Object>, location?: Object, always_send: boolean}}
  */
 function getScheduleForCameraAndGroup(cameraName, groupName) {
-    const cameraConfig = config.cameras?.[cameraName];
+    const cameraConfig = getCameraConfig(cameraName);
     const groupConfig = config.groups?.[groupName];
-    const defaultSchedule = config.default_schedule || {
-        start_time: "00:00",
-        end_time: "23:59",
-        always_send: false,
-    };
-
-    // Check for camera-specific group schedule (most specific)
     const cameraGroupConfig = cameraConfig?.group_schedules?.[groupName];
-    if (
-        cameraGroupConfig?.schedule ||
-        cameraGroupConfig?.always_send !== undefined
-    ) {
-        return {
-            start_time:
-                cameraGroupConfig?.schedule?.start_time ||
-                cameraConfig?.schedule?.start_time ||
-                groupConfig?.schedule?.start_time ||
-                defaultSchedule.start_time,
-            end_time:
-                cameraGroupConfig?.schedule?.end_time ||
-                cameraConfig?.schedule?.end_time ||
-                groupConfig?.schedule?.end_time ||
-                defaultSchedule.end_time,
-            always_send:
-                cameraGroupConfig?.always_send ??
-                cameraConfig?.always_send ??
-                groupConfig?.always_send ??
-                defaultSchedule.always_send ??
-                false,
-        };
-    }
 
-    // Check for camera schedule
-    if (cameraConfig?.schedule || cameraConfig?.always_send !== undefined) {
-        return {
-            start_time:
-                cameraConfig?.schedule?.start_time ||
-                groupConfig?.schedule?.start_time ||
-                defaultSchedule.start_time,
-            end_time:
-                cameraConfig?.schedule?.end_time ||
-                groupConfig?.schedule?.end_time ||
-                defaultSchedule.end_time,
-            always_send:
-                cameraConfig?.always_send ??
-                groupConfig?.always_send ??
-                defaultSchedule.always_send ??
-                false,
-        };
-    }
+    // Start from the most specific level that configures a schedule or always_send
+    const levels = [cameraGroupConfig, cameraConfig, groupConfig, getDefaultLevel()];
+    const startIndex = levels.findIndex(
+        (level) => level?.schedule || level?.always_send !== undefined
+    );
 
-    // Check for group schedule
-    if (groupConfig?.schedule || groupConfig?.always_send !== undefined) {
-        return {
-            start_time:
-                groupConfig?.schedule?.start_time || defaultSchedule.start_time,
-            end_time:
-                groupConfig?.schedule?.end_time || defaultSchedule.end_time,
-            always_send:
-                groupConfig?.always_send ??
-                defaultSchedule.always_send ??
-                false,
-        };
-    }
+    return resolveSchedule(levels.slice(startIndex));
+}
 
-    // Fall back to default schedule
-    return {
-        start_time: defaultSchedule.start_time,
-        end_time: defaultSchedule.end_time,
-        always_send: defaultSchedule.always_send ?? false,
-    };
+/**
+ * Get schedule for a group on cameras without their own schedule (for display purposes)
+ * @param {string} groupName
+ * @returns {{start_time: string, end_time: string, windows: Array<Object>, timezone?: string, exceptions: Array<Object>, location?: Object, always_send: boolean}}
+ */
+function getGroupSchedule(groupName) {
+    return getScheduleForCameraAndGroup(undefined, groupName);
+}
+
+/**
+ * Get the default schedule (for display purposes)
+ * @returns {{start_time: string, end_time: string, windows: Array<Object>, timezone?: string, exceptions: Array<Object>, location?: Object, always_send: boolean}}
+ */
+function getDefaultSchedule() {
+    return resolveSchedule([getDefaultLevel()]);
 }
 
 /**
  * Check if a group should receive an alert for an event
  * @param {string} cameraName
  * @param {string} groupName
+ * @param {Date} [at] - time to check, defaults to now
  * @returns {boolean}
  */
-function shouldAlertGroup(cameraName, groupName) {
+function shouldAlertGroup(cameraName, groupName, at = new Date()) {
     const schedule = getScheduleForCameraAndGroup(cameraName, groupName);
 
     if (schedule.always_send) {
         return true;
     }
 
-    return isWithinSchedule(schedule.start_time, schedule.end_time);
+    return isWithinSchedule(schedule, at);
 }
 
 /**
  * Get groups that should receive an alert for this event (respecting schedules and always_send)
  * @param {Object} event
- * @returns {Array<{name: string, chat_id: string, schedule: object}>}
+ * @param {Date} [at] - time to check, defaults to now
+ * @returns {Array<{name: string, type: string, settings: Object, schedule: object}>}
  */
-function getGroupsToAlert(event) {
-    const allGroups = getGroupsForCamera(event.camera);
+function getGroupsToAlert(event, at = new Date()) {
+    const allGroups = getGroupsForEvent(event);
 
     return allGroups
-        .filter((group) => shouldAlertGroup(event.camera, group.name))
+        .filter((group) => shouldAlertGroup(event.camera, group.name, at))
         .map((group) => ({
             ...group,
             schedule: getScheduleForCameraAndGroup(event.camera, group.name),
@@ -213,22 +453,10 @@ function getGroupsToAlert(event) {
 /**
  * Get schedule configuration for a camera (for display purposes)
  * @param {string} cameraName
- * @returns {{start_time: string, end_time: string, always_send: boolean}}
+ * @returns {{start_time: string, end_time: string, windows: Array<Object>, timezone?: string, exceptions: Array<Object>, location?: Object, always_send: boolean}}
  */
 function getCameraSchedule(cameraName) {
-    const cameraConfig = config.cameras?.[cameraName];
-    const defaultSchedule = config.default_schedule || {
-        start_time: "00:00",
-        end_time: "23:59",
-    };
-
-    return {
-        start_time:
-            cameraConfig?.schedule?.start_time || defaultSchedule.start_time,
-        end_time: cameraConfig?.schedule?.end_time || defaultSchedule.end_time,
-        always_send:
-            cameraConfig?.always_send ?? defaultSchedule.always_send ?? false,
-    };
+    return resolveSchedule([getCameraConfig(cameraName), getDefaultLevel()]);
 }
 
 /**
@@ -237,7 +465,7 @@ function getCameraSchedule(cameraName) {
  * @returns {Array<string>|null} null means all labels allowed
  */
 function getAllowedLabels(cameraName) {
-    return config.cameras?.[cameraName]?.labels || null;
+    return getCameraConfig(cameraName)?.labels || null;
 }
 
 /**
@@ -251,28 +479,301 @@ function shouldAlertAnyGroup(event) {
 }
 
 /**
- * Check if an event's label is allowed for the camera
+ * Get every label an event covers: a review segment's objects, otherwise the event's label
+ * @param {Object} event
+ * @returns {Array<string>}
+ */
+function getEventLabels(event) {
+    return event.labels || [event.label];
+}
+
+/**
+ * Check if any of the values is in a filter list; an empty or missing filter
+ * matches everything
+ * @param {Array<string>|undefined} filter
+ * @param {Array<string>} values
+ * @returns {boolean}
+ */
+function matchesFilter(filter, values) {
+    return !filter?.length || values.some((value) => filter.includes(value));
+}
+
+/**
+ * Check if an event matches the cameras, labels and zones filters of a webhook,
+ * mode rule or escalation policy. Cameras match by their plain name too, so
+ * "front_door" covers "cabin/front_door".
+ * @param {{cameras?: Array<string>, labels?: Array<string>, zones?: Array<string>}} filters
+ * @param {Object} event
+ * @returns {boolean}
+ */
+function matchesEvent(filters, event) {
+    return (
+        matchesFilter(filters.cameras, [event.camera, splitName(event.camera).name]) &&
+        matchesFilter(filters.labels, getEventLabels(event)) &&
+        matchesFilter(filters.zones, getEventZones(event))
+    );
+}
+
+/**
+ * Check if an event's label is allowed for the camera (for a review segment,
+ * any of its objects)
  * @param {Object} event
  * @returns {boolean}
  */
 function isLabelAllowed(event) {
     const allowedLabels = getAllowedLabels(event.camera);
     if (!allowedLabels) return true; // No filter = all labels allowed
-    return allowedLabels.includes(event.label);
+    return getEventLabels(event).some((label) => allowedLabels.includes(label));
+}
+
+/**
+ * Check if an event passes the camera's zone rules (camera.zones):
+ * - require: the object must have entered at least one of these zones
+ * - exclude: the object must not have entered any of these zones
+ * - labels: per-label zones, e.g. { "car": ["street"] } only alerts cars in "street"
+ * @param {Object} event
+ * @returns {boolean}
+ */
+function isZoneAllowed(event) {
+    const rules = getCameraConfig(event.camera)?.zones;
+    if (!rules) return true; // No zone rules = all zones allowed
+
+    const zones = getEventZones(event);
+    if (rules.require?.length && !zones.some((zone) => rules.require.includes(zone))) {
+        return false;
+    }
+    if (rules.exclude?.some((zone) => zones.includes(zone))) {
+        return false;
+    }
+    // A review segment passes if any of its objects does
+    return getEventLabels(event).some((label) => {
+        const labelZones = rules.labels?.[label];
+        return !labelZones || zones.some((zone) => labelZones.includes(zone));
+    });
+}
+
+/**
+ * Get false-positive filter rules for a camera + label combination
+ * Priority: camera.filters.labels.X > camera.filters > filters.labels.X > filters
+ * @param {string} cameraName
+ * @param {string} label
+ * @returns {{min_score?: number, min_area?: number, max_area?: number, skip_stationary?: boolean, suppress_seen_minutes?: number, seen_overlap?: number}}
+ */
+function getFilterRules(cameraName, label) {
+    const cameraFilters = getCameraConfig(cameraName)?.filters;
+    const levels = [
+        config.filters,
+        config.filters?.labels?.[label],
+        cameraFilters,
+        cameraFilters?.labels?.[label],
+    ];
+
+    const rules = {};
+    for (const level of levels) {
+        for (const [key, value] of Object.entries(level || {})) {
+            if (key !== "labels" && value !== undefined && value !== null) {
+                rules[key] = value;
+            }
+        }
+    }
+    return rules;
+}
+
+/**
+ * Get the cooldown between alerts for a camera + label to a group
+ * Priority: camera.label_cooldown_seconds.X > camera.cooldown_seconds > group.cooldown_seconds > cooldown_seconds
+ * @param {string} cameraName
+ * @param {string} label
+ * @param {string} groupName
+ * @returns {number} cooldown in ms (0 = no cooldown)
+ */
+function getCooldownMs(cameraName, label, groupName) {
+    const cameraConfig = getCameraConfig(cameraName);
+    const seconds =
+        cameraConfig?.label_cooldown_seconds?.[label] ??
+        cameraConfig?.cooldown_seconds ??
+        config.groups?.[groupName]?.cooldown_seconds ??
+        config.cooldown_seconds ??
+        0;
+    return seconds * 1000;
+}
+
+/**
+ * Get burst aggregation settings for a group (group.aggregation overrides aggregation)
+ * @param {string} groupName
+ * @returns {{window_ms: number, max_items: number}} window_ms 0 = send every alert immediately
+ */
+function getAggregationConfig(groupName) {
+    const settings = {
+        ...config.aggregation,
+        ...config.groups?.[groupName]?.aggregation,
+    };
+    return {
+        window_ms: (settings.window_seconds || 0) * 1000,
+        max_items: Math.min(settings.max_items || MAX_ALBUM_ITEMS, MAX_ALBUM_ITEMS),
+    };
+}
+
+/**
+ * Get the webhook targets: webhooks, plus webhook_url as a target with the
+ * default body and no filters
+ * @returns {Array<Object>} webhook settings, each with a name
+ */
+function getWebhooks() {
+    const webhooks = (config.webhooks || []).map((webhook, i) => ({
+        ...webhook,
+        name: webhook.name || `webhooks[${i}]`,
+    }));
+    return WEBHOOK_URL ? [{ name: "webhook_url", url: WEBHOOK_URL }, ...webhooks] : webhooks;
+}
+
+/**
+ * Get the escalation policies (escalations), each with a name and defaults applied
+ * @returns {Array<{name: string, cameras?: Array<string>, labels?: Array<string>, zones?: Array<string>, groups?: Array<string>, chain: Array<string>, after_ms: number, repeat: number}>}
+ *   after_ms is how long an alert may go unacknowledged before each step
+ */
+function getEscalations() {
+    return (config.escalations || []).map((policy, i) => ({
+        ...policy,
+        name: policy.name || `escalations[${i}]`,
+        after_ms: (policy.after_minutes ?? 5) * 60 * 1000,
+        repeat: policy.repeat ?? 0,
+    }));
+}
+
+/**
+ * Get clip handling settings (video), with defaults applied
+ * @returns {{max_bytes: number, max_duration_seconds: number, end_wait_ms: number, ffmpeg_path: string, transcode: boolean, preview: {enabled: boolean, format: string, duration_seconds: number, width: number}}}
+ */
+function getVideoConfig() {
+    const video = config.video || {};
+    return {
+        max_bytes: (video.max_size_mb ?? 45) * 1024 * 1024,
+        max_duration_seconds: video.max_duration_seconds ?? 60,
+        end_wait_ms: (video.end_wait_seconds ?? 30) * 1000,
+        ffmpeg_path: video.ffmpeg_path || "ffmpeg",
+        transcode: video.transcode !== false,
+        preview: {
+            enabled: video.preview?.enabled === true,
+            format: video.preview?.format || "mp4",
+            duration_seconds: video.preview?.duration_seconds ?? 5,
+            width: video.preview?.width ?? 480,
+        },
+    };
+}
+
+/**
+ * Get review segment settings (review), with defaults applied
+ * @returns {{end_wait_ms: number}} how long to wait for a segment to end before
+ *   alerting with the objects seen so far
+ */
+function getReviewConfig() {
+    return {
+        end_wait_ms: (config.review?.end_wait_seconds ?? 60) * 1000,
+    };
+}
+
+/**
+ * Get Frigate system monitor settings (monitor), with defaults applied
+ * @returns {{enabled: boolean, groups: Array<string>, interval_ms: number, debounce_ms: number, max_inference_ms: number, max_storage_percent: number, ignore_cameras: Array<string>}}
+ *   debounce_ms is how long a problem, or its recovery, must last before it is reported
+ */
+function getMonitorConfig() {
+    const monitor = config.monitor || {};
+    return {
+        enabled: monitor.enabled === true,
+        groups: monitor.groups || [],
+        interval_ms: (monitor.interval_seconds ?? 60) * 1000,
+        debounce_ms: (monitor.debounce_seconds ?? 120) * 1000,
+        max_inference_ms: monitor.max_inference_ms ?? 100,
+        max_storage_percent: monitor.max_storage_percent ?? 90,
+        ignore_cameras: monitor.ignore_cameras || [],
+    };
+}
+
+/**
+ * Get outbound queue settings (queue), with defaults applied
+ * @returns {{chat_per_second: number, chat_per_minute: number, global_per_second: number, concurrency: number, ttl_ms: number, retry_delay_ms: number, dead_letter_path: string}}
+ */
+function getQueueConfig() {
+    const queue = config.queue || {};
+    return {
+        chat_per_second: queue.chat_per_second ?? 1,
+        chat_per_minute: queue.chat_per_minute ?? 20,
+        global_per_second: queue.global_per_second ?? 25,
+        concurrency: queue.concurrency ?? 4,
+        ttl_ms: (queue.ttl_minutes ?? 60) * 60 * 1000,
+        retry_delay_ms: (queue.retry_delay_seconds ?? 30) * 1000,
+        dead_letter_path: queue.dead_letter_file || process.env.DEAD_LETTER_PATH || "./dead_letters.jsonl",
+    };
+}
+
+/**
+ * Get alert message settings for a camera + group
+ * Priority per setting: camera.message > group.message > message
+ * @param {string} [cameraName]
+ * @param {string} [groupName]
+ * @returns {{template?: string, language?: string, time_format?: string, timezone?: string, ui_url: string|null}}
+ *   timezone is the camera + group schedule's; ui_url is the camera's Frigate UI (frigate_ui_url, or the API URL without "/api")
+ */
+function getMessageConfig(cameraName, groupName) {
+    const instance = getFrigateInstance(splitName(cameraName ?? "").instance) || FRIGATE_INSTANCES[0];
+    return {
+        ...config.message,
+        ...config.groups?.[groupName]?.message,
+        ...getCameraConfig(cameraName)?.message,
+        timezone: getScheduleForCameraAndGroup(cameraName, groupName).timezone,
+        ui_url: instance.ui_url,
+    };
 }
 
 module.exports = {
     config,
+    CONFIG_PATH,
     TELEGRAM_BOT_TOKEN,
-    FRIGATE_API_URL,
+    FRIGATE_INSTANCES,
     POLL_INTERVAL,
     WEBHOOK_URL,
     MEDIA_RETRY_ATTEMPTS,
     MEDIA_RETRY_DELAY_MS,
+    STATE_PATH,
+    STATE_RETENTION_MS,
+    CATCHUP_WINDOW_MS,
+    BOT_CONFIG,
+    HTTP_CONFIG,
+    HISTORY_CONFIG,
+    getFrigateInstance,
+    getCameraConfig,
+    getGroupNamesForCamera,
+    getGroupNamesForEvent,
     getGroupsForCamera,
+    getGroupsForEvent,
+    getGroupSeverities,
+    getEventZones,
+    getEventLabels,
+    matchesFilter,
+    matchesEvent,
     getGroupsToAlert,
     getCameraSchedule,
+    getGroupSchedule,
+    getDefaultSchedule,
+    getAllowedLabels,
     getScheduleForCameraAndGroup,
+    shouldAlertGroup,
     shouldAlertAnyGroup,
     isLabelAllowed,
+    isZoneAllowed,
+    isZoneRouted,
+    getFilterRules,
+    getCooldownMs,
+    getAggregationConfig,
+    getMessageConfig,
+    getVideoConfig,
+    getReviewConfig,
+    getMonitorConfig,
+    getQueueConfig,
+    getWebhooks,
+    getEscalations,
+    onConfigReload,
+    reloadConfig,
 };
@@ -0,0 +1,245 @@
+const {
+    config,
+    getGroupNamesForEvent,
+    getGroupSchedule,
+    isLabelAllowed,
+    isZoneAllowed,
+} = require("./config");
+const { getLocalParts, parseDays, toMinutes } = require("./schedule");
+const { getEventScore, getThresholdRejection } = require("./filters");
+const { fetchEvents, downloadStill } = require("./frigate");
+const { escapeHtml } = require("./telegram");
+const { getSection, scheduleSave } = require("./state");
+const notifiers = require("./notifiers");
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+const DEFAULT_TOP_SNAPSHOTS = 5;
+const MAX_DIGEST_EVENTS = 5000;
+const BUSIEST_HOURS = 3;
+
+const PERIODS = {
+    daily: { title: "Daily Digest", seconds: 24 * 60 * 60 },
+    weekly: { title: "Weekly Digest", seconds: 7 * 24 * 60 * 60 },
+};
+
+/**
+ * Get a group's digest settings with defaults applied
+ * @param {string} groupName
+ * @returns {{frequency: string, time: string, day: string, top_snapshots: number, timezone?: string}|null}
+ *   null if the group doesn't get digests
+ */
+function getDigestConfig(groupName) {
+    const group = config.groups?.[groupName];
+    if (!group || group.enabled === false || !["digest", "both"].includes(group.mode)) {
+        return null;
+    }
+
+    const digest = group.digest || {};
+    return {
+        frequency: digest.frequency || "daily",
+        time: digest.time,
+        day: digest.day || "mon",
+        top_snapshots: digest.top_snapshots ?? DEFAULT_TOP_SNAPSHOTS,
+        timezone: getGroupSchedule(groupName).timezone,
+    };
+}
+
+/**
+ * Describe when a group gets its digest, e.g. "weekly digest on mon at 08:00"
+ * @param {string} groupName
+ * @returns {string|null} null if the group doesn't get digests
+ */
+function describeDigest(groupName) {
+    const digest = getDigestConfig(groupName);
+    if (!digest) return null;
+    const on = digest.frequency === "weekly" ? ` on ${digest.day}` : "";
+    return `${digest.frequency} digest${on} at ${digest.time}`;
+}
+
+/**
+ * Check if an event would have been routed to a group, ignoring schedules,
+ * mutes and cooldowns (a digest covers everything the group cares about)
+ * @param {Object} event
+ * @param {string} groupName
+ * @returns {boolean}
+ */
+function isEventForGroup(event, groupName) {
+    return (
+        getGroupNamesForEvent(event).includes(groupName) &&
+        isLabelAllowed(event) &&
+        isZoneAllowed(event) &&
+        !getThresholdRejection(event)
+    );
+}
+
+/**
+ * Format a count per label, most frequent first, e.g. "12 person, 3 car"
+ * @param {Array<Object>} events
+ * @returns {string}
+ */
+function formatLabelCounts(events) {
+    const counts = new Map();
+    for (const event of events) counts.set(event.label, (counts.get(event.label) || 0) + 1);
+    return [...counts]
+        .sort((a, b) => b[1] - a[1])
+        .map(([label, count]) => `${count} ${escapeHtml(label)}`)
+        .join(", ");
+}
+
+/**
+ * Find the hours of the day with the most events
+ * @param {Array<Object>} events
+ * @param {string} [timezone]
+ * @returns {Array<{hour: number, count: number}>}
+ */
+function getBusiestHours(events, timezone) {
+    const counts = new Array(24).fill(0);
+    for (const event of events) {
+        const { minutes } = getLocalParts(new Date(event.start_time * 1000), timezone);
+        counts[Math.floor(minutes / 60)]++;
+    }
+    return counts
+        .map((count, hour) => ({ hour, count }))
+        .filter(({ count }) => count > 0)
+        .sort((a, b) => b.count - a.count || a.hour - b.hour)
+        .slice(0, BUSIEST_HOURS);
+}
+
+/**
+ * Build the digest summary message
+ * @param {Array<Object>} events
+ * @param {Object} digest - from getDigestConfig
+ * @param {{after: number, before: number}} period - unix seconds
+ * @returns {string}
+ */
+function formatDigestMessage(events, digest, period) {
+    const formatDate = (seconds) => {
+        const { date, minutes } = getLocalParts(new Date(seconds * 1000), digest.timezone);
+        const pad = (n) => String(n).padStart(2, "0");
+        return `${date} ${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+    };
+
+    let message = `📊 <b>${PERIODS[digest.frequency].title}</b>\n`;
+    message += `🗓 ${formatDate(period.after)} → ${formatDate(period.before)}\n`;
+
+    if (events.length === 0) return message + "\n✅ No events";
+
+    message += `\n🔢 <b>${events.length}</b> event${events.length === 1 ? "" : "s"}\n`;
+
+    const byCamera = new Map();
+    for (const event of events) {
+        if (!byCamera.has(event.camera)) byCamera.set(event.camera, []);
+        byCamera.get(event.camera).push(event);
+    }
+    for (const [camera, cameraEvents] of [...byCamera].sort((a, b) => b[1].length - a[1].length)) {
+        message += `📷 <b>${escapeHtml(camera)}</b>: ${formatLabelCounts(cameraEvents)}\n`;
+    }
+
+    const busiest = getBusiestHours(events, digest.timezone)
+        .map(({ hour, count }) => `${String(hour).padStart(2, "0")}:00 (${count})`)
+        .join(", ");
+    message += `\n⏰ Busiest hours: ${busiest}`;
+    return message;
+}
+
+/**
+ * Send a group its digest for the period ending now
+ * @param {string} groupName
+ */
+async function sendDigest(groupName) {
+    const digest = getDigestConfig(groupName);
+    if (!digest) return;
+
+    const before = Math.floor(Date.now() / 1000);
+    const period = { after: before - PERIODS[digest.frequency].seconds, before };
+    const events = (await fetchEvents({ ...period, limit: MAX_DIGEST_EVENTS })).filter((event) =>
+        isEventForGroup(event, groupName)
+    );
+
+    const group = {
+        name: groupName,
+        type: config.groups[groupName].type || "telegram",
+        settings: config.groups[groupName],
+    };
+
+    console.log(`📊 Sending ${digest.frequency} digest to group: ${groupName} (${events.length} events)`);
+    await notifiers.sendText(group, formatDigestMessage(events, digest, period));
+
+    const notifier = notifiers.getNotifier(group.settings);
+    if (digest.top_snapshots === 0 || !notifier.mediaKinds.includes("image")) return;
+
+    const top = events
+        .filter((event) => event.has_snapshot)
+        .sort((a, b) => getEventScore(b) - getEventScore(a))
+        .slice(0, digest.top_snapshots);
+    const stills = await Promise.all(
+        top.map(async (event) => ({ event, item: await downloadStill(event) }))
+    );
+    const downloaded = stills.filter(({ item }) => item);
+    if (downloaded.length === 0) return;
+
+    const lines = downloaded.map(
+        ({ event }) =>
+            `📷 ${escapeHtml(event.camera)}: ${escapeHtml(event.label)} (${Math.round(getEventScore(event) * 100)}%)`
+    );
+    const caption = `📸 Top ${downloaded.length} snapshot${downloaded.length === 1 ? "" : "s"}:\n${lines.join("\n")}`;
+    await notifiers.sendAlbum(group, downloaded.map(({ item }) => item), caption);
+}
+
+/**
+ * Check if a group's digest is due: its time has passed today (on the right day
+ * for weekly digests) and it hasn't been sent today
+ * @param {string} groupName
+ * @param {Object} digest - from getDigestConfig
+ * @param {Object} sent - last sent date per group
+ * @returns {boolean}
+ */
+function isDigestDue(groupName, digest, sent) {
+    const now = getLocalParts(new Date(), digest.timezone);
+    if (now.minutes < toMinutes(digest.time)) return false;
+    if (digest.frequency === "weekly" && !parseDays(digest.day).includes(now.day)) return false;
+    if (sent[groupName] === now.date) return false;
+
+    if (!sent[groupName]) {
+        // First run with this group: wait for the next scheduled time rather
+        // than sending straight away because today's time has already passed
+        sent[groupName] = now.date;
+        scheduleSave();
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Send any digests that are due
+ */
+async function checkDigests() {
+    const sent = getSection("digests");
+
+    for (const groupName of Object.keys(config.groups || {})) {
+        const digest = getDigestConfig(groupName);
+        if (!digest || !isDigestDue(groupName, digest, sent)) continue;
+
+        sent[groupName] = getLocalParts(new Date(), digest.timezone).date;
+        scheduleSave();
+        try {
+            await sendDigest(groupName);
+        } catch (error) {
+            console.error(`❌ Failed to send digest to ${groupName}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Check once a minute for digests to send
+ */
+function startDigests() {
+    checkDigests();
+    setInterval(checkDigests, CHECK_INTERVAL_MS);
+}
+
+module.exports = {
+    startDigests,
+    sendDigest,
+    describeDigest,
+};
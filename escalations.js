@@ -0,0 +1,211 @@
+const {
+    BOT_CONFIG,
+    HTTP_CONFIG,
+    STATE_RETENTION_MS,
+    getEscalations,
+    getMessageConfig,
+    matchesFilter,
+    matchesEvent,
+} = require("./config");
+const { getSection, scheduleSave } = require("./state");
+const { enqueue } = require("./outbox");
+const { formatAcknowledgement } = require("./templates");
+const { counter, gauge } = require("./metrics");
+const { addRoute } = require("./server");
+
+const CHECK_INTERVAL_MS = 5 * 1000;
+
+// Escalation policies (config.escalations): an alert nobody acknowledges within
+// after_minutes is sent again to the next group in the policy's chain, one step
+// per after_minutes, and the whole chain again `repeat` more times. Each
+// escalating alert is kept in the state file with the policy it started under,
+// so pending steps survive restarts and config reloads.
+
+const escalationsSent = counter(
+    "escalations_total",
+    "Unacknowledged alerts sent on to the next group of an escalation chain, by group"
+);
+const acknowledgements = counter("acknowledgements_total", "Escalating alerts acknowledged, by policy");
+
+gauge("escalations_pending", "Alerts waiting to be acknowledged before their next escalation step", () => [
+    { labels: {}, value: Object.values(getSection("escalations")).filter(isPending).length },
+]);
+
+/**
+ * Check if an escalation still has steps to go
+ * @param {Object} escalation - see startEscalation
+ * @returns {boolean}
+ */
+function isPending(escalation) {
+    return !escalation.acknowledged_by && escalation.due_at !== null;
+}
+
+/**
+ * Find the first escalation policy covering an alert: each of cameras, labels,
+ * zones and groups (the groups alerted) matches everything when left out
+ * @param {Object} event
+ * @param {Array<string>} groupNames
+ * @returns {Object|null} see config.getEscalations
+ */
+function getEscalationPolicy(event, groupNames) {
+    return (
+        getEscalations().find((policy) => matchesEvent(policy, event) && matchesFilter(policy.groups, groupNames)) ||
+        null
+    );
+}
+
+/**
+ * Start waiting for an alert to be acknowledged, if an escalation policy covers it
+ * @param {Object} event
+ * @param {Array<string>} groupNames - groups the alert went to
+ */
+function startEscalation(event, groupNames) {
+    const policy = getEscalationPolicy(event, groupNames);
+    if (!policy) return;
+
+    const now = Date.now();
+    getSection("escalations")[event.id] = {
+        event,
+        policy: policy.name,
+        chain: policy.chain,
+        after_ms: policy.after_ms,
+        repeat: policy.repeat,
+        step: 0,
+        round: 0,
+        started_at: now,
+        due_at: now + policy.after_ms,
+        escalated_to: [],
+        acknowledged_by: null,
+        acknowledged_at: null,
+    };
+    scheduleSave();
+    console.log(
+        `⏫ Event ${event.id} escalates to ${policy.chain.join(" → ")} unless acknowledged within ${policy.after_ms / 60000} min (${policy.name})`
+    );
+}
+
+/**
+ * Check if an alert can be acknowledged, so it gets an Acknowledge button
+ * @param {string} eventId
+ * @returns {boolean}
+ */
+function isAwaitingAck(eventId) {
+    const escalation = getSection("escalations")[eventId];
+    return Boolean(escalation && !escalation.acknowledged_by);
+}
+
+/**
+ * Acknowledge an alert, stopping its escalation. Groups it was already escalated
+ * to are told who acknowledged it.
+ * @param {string} eventId
+ * @param {string} acknowledgedBy - who acknowledged, for the log and the notice
+ * @returns {{status: string, acknowledged_by?: string, acknowledged_at?: string}}
+ *   status "acknowledged", "already_acknowledged" or "unknown" (no escalation for the event)
+ */
+function acknowledge(eventId, acknowledgedBy) {
+    const escalation = getSection("escalations")[eventId];
+    if (!escalation) return { status: "unknown" };
+
+    const describe = (status) => ({
+        status,
+        acknowledged_by: escalation.acknowledged_by,
+        acknowledged_at: new Date(escalation.acknowledged_at).toISOString(),
+    });
+    if (escalation.acknowledged_by) return describe("already_acknowledged");
+
+    escalation.acknowledged_by = acknowledgedBy;
+    escalation.acknowledged_at = Date.now();
+    scheduleSave();
+    acknowledgements.inc({ policy: escalation.policy });
+    console.log(`✅ Event ${eventId} acknowledged by ${acknowledgedBy}`);
+
+    const { camera } = escalation.event;
+    for (const groupName of new Set(escalation.escalated_to)) {
+        const { language } = getMessageConfig(camera, groupName);
+        enqueue("text", groupName, [eventId], { message: formatAcknowledgement(camera, acknowledgedBy, language) });
+    }
+    return describe("acknowledged");
+}
+
+/**
+ * Send an unacknowledged alert to the next group in its chain and schedule the
+ * step after that, if any
+ * @param {string} eventId
+ * @param {Object} escalation
+ */
+function escalate(eventId, escalation) {
+    const groupName = escalation.chain[escalation.step];
+    const waitedMinutes = Math.round((Date.now() - escalation.started_at) / 60000);
+    console.log(
+        `⏫ Event ${eventId} not acknowledged after ${waitedMinutes} min, escalating to ${groupName} (step ${escalation.step + 1}/${escalation.chain.length}, ${escalation.policy})`
+    );
+    enqueue("escalation", groupName, [eventId], { event: escalation.event, minutes: waitedMinutes });
+    escalationsSent.inc({ group: groupName });
+    escalation.escalated_to.push(groupName);
+
+    escalation.step++;
+    if (escalation.step >= escalation.chain.length && escalation.round < escalation.repeat) {
+        escalation.step = 0;
+        escalation.round++;
+    }
+    escalation.due_at = escalation.step < escalation.chain.length ? Date.now() + escalation.after_ms : null;
+}
+
+/**
+ * Escalate alerts whose wait ran out, and forget finished escalations past the
+ * state retention
+ */
+function checkEscalations() {
+    const escalations = getSection("escalations");
+    const now = Date.now();
+    let changed = false;
+
+    for (const [eventId, escalation] of Object.entries(escalations)) {
+        if (isPending(escalation) && escalation.due_at <= now) {
+            escalate(eventId, escalation);
+            changed = true;
+        } else if (!isPending(escalation) && escalation.started_at < now - STATE_RETENTION_MS) {
+            delete escalations[eventId];
+            changed = true;
+        }
+    }
+
+    if (changed) scheduleSave();
+}
+
+addRoute(
+    "POST",
+    "/ack",
+    (req, url) => {
+        const eventId = url.searchParams.get("event");
+        if (!eventId) return { status: 400, body: { error: "Missing ?event=<event id>" } };
+
+        const result = acknowledge(eventId, url.searchParams.get("by") || `HTTP (${req.socket.remoteAddress})`);
+        return { status: result.status === "unknown" ? 404 : 200, body: result };
+    },
+    { auth: true }
+);
+
+/**
+ * Start escalating unacknowledged alerts, including those pending from before a restart
+ */
+function startEscalations() {
+    const pending = Object.values(getSection("escalations")).filter(isPending).length;
+    if (pending > 0) {
+        console.log(`⏫ Resuming ${pending} escalation(s) from before the restart`);
+    }
+    if (getEscalations().length > 0 && !BOT_CONFIG.enabled && !(HTTP_CONFIG.enabled && HTTP_CONFIG.token)) {
+        console.log("⚠️ Escalations are configured but alerts can't be acknowledged: enable bot, or http with a token");
+    }
+    checkEscalations();
+    setInterval(checkEscalations, CHECK_INTERVAL_MS);
+}
+
+module.exports = {
+    getEscalationPolicy,
+    startEscalation,
+    isAwaitingAck,
+    acknowledge,
+    checkEscalations,
+    startEscalations,
+};
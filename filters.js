@@ -0,0 +1,217 @@
+const { getFilterRules } = require("./config");
+const { getSection, scheduleSave } = require("./state");
+const { fetchDetectResolutions } = require("./frigate");
+
+const DEFAULT_SEEN_OVERLAP = 0.6;
+const RESOLUTION_RETRY_MS = 60 * 1000;
+
+// Detect resolutions by qualified camera name, to compare pixel areas with
+// fractional limits and the other way round
+const detectResolutions = new Map();
+// Area limits already warned about being skipped, by camera, limit and units
+const skippedLimits = new Set();
+
+/**
+ * Get an event's best score (Frigate 0.14+ moved it into `data`)
+ * @param {Object} event
+ * @returns {number|null}
+ */
+function getEventScore(event) {
+    return (
+        event.top_score ??
+        event.data?.top_score ??
+        event.score ??
+        event.data?.score ??
+        null
+    );
+}
+
+/**
+ * Get an event's bounding box as [x1, y1, x2, y2] plus its units. MQTT events
+ * carry a pixel box; the events API of Frigate 0.14+ a relative [x, y, w, h] one.
+ * @param {Object} event
+ * @returns {{box: Array<number>, relative: boolean}|null}
+ */
+function getEventBox(event) {
+    if (Array.isArray(event.box) && event.box.length === 4) {
+        return { box: event.box, relative: event.box.every((v) => v <= 1) };
+    }
+    if (Array.isArray(event.data?.box) && event.data.box.length === 4) {
+        const [x, y, w, h] = event.data.box;
+        return { box: [x, y, x + w, y + h], relative: true };
+    }
+    return null;
+}
+
+/**
+ * Get an event's area in pixels, or as a fraction of the frame when only a relative box is known
+ * @param {Object} event
+ * @returns {{value: number, relative: boolean}|null}
+ */
+function getEventArea(event) {
+    if (typeof event.area === "number") return { value: event.area, relative: false };
+
+    const eventBox = getEventBox(event);
+    if (!eventBox) return null;
+    const [x1, y1, x2, y2] = eventBox.box;
+    return { value: (x2 - x1) * (y2 - y1), relative: eventBox.relative };
+}
+
+/**
+ * Get an event's area in a limit's units, converting between pixels and
+ * fractions of the frame with the camera's detect resolution
+ * @param {{value: number, relative: boolean}} area - see getEventArea
+ * @param {boolean} relative - whether the limit is a fraction of the frame
+ * @param {string} cameraName
+ * @returns {number|null} null if the units differ and the resolution is unknown
+ */
+function getAreaIn(area, relative, cameraName) {
+    if (area.relative === relative) return area.value;
+
+    const resolution = detectResolutions.get(cameraName);
+    if (!resolution) return null;
+    const frame = resolution.width * resolution.height;
+    return relative ? area.value / frame : area.value * frame;
+}
+
+/**
+ * Read the detect resolutions of a Frigate instance's cameras, trying again
+ * later if Frigate can't be reached
+ * @param {Object} instance - see config.FRIGATE_INSTANCES
+ */
+async function loadDetectResolutions(instance) {
+    try {
+        const resolutions = await fetchDetectResolutions(instance);
+        for (const [cameraName, resolution] of Object.entries(resolutions)) {
+            detectResolutions.set(cameraName, resolution);
+        }
+    } catch (error) {
+        console.error(
+            `❌ Failed to read camera detect resolutions${instance.name ? ` (${instance.name})` : ""}, retrying in ${RESOLUTION_RETRY_MS / 1000}s:`,
+            error.message
+        );
+        setTimeout(() => loadDetectResolutions(instance), RESOLUTION_RETRY_MS);
+    }
+}
+
+/**
+ * Intersection over union of two [x1, y1, x2, y2] boxes
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number}
+ */
+function boxOverlap(a, b) {
+    const width = Math.max(0, Math.min(a[2], b[2]) - Math.max(a[0], b[0]));
+    const height = Math.max(0, Math.min(a[3], b[3]) - Math.max(a[1], b[1]));
+    const intersection = width * height;
+    const area = (box) => (box[2] - box[0]) * (box[3] - box[1]);
+    const union = area(a) + area(b) - intersection;
+    return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Check an event against the score and area thresholds for its camera and label.
+ * Area limits follow Frigate's convention: values above 1 are pixels, values
+ * up to 1 a fraction of the frame; an area in the other units is converted with
+ * the camera's detect resolution. Checks whose data is missing are skipped.
+ * @param {Object} event
+ * @returns {{reason: string, message: string}|null} null if the event passes
+ */
+function getThresholdRejection(event) {
+    const rules = getFilterRules(event.camera, event.label);
+
+    const score = getEventScore(event);
+    if (rules.min_score !== undefined && score !== null && score < rules.min_score) {
+        return {
+            reason: "min_score",
+            message: `score ${score.toFixed(2)} below ${rules.min_score}`,
+        };
+    }
+
+    const area = getEventArea(event);
+    if (area) {
+        for (const [limit, tooSmall] of [["min_area", true], ["max_area", false]]) {
+            const threshold = rules[limit];
+            if (threshold === undefined) continue;
+            const value = getAreaIn(area, threshold <= 1, event.camera);
+            if (value === null) {
+                const key = `${event.camera}:${limit}:${area.relative}`;
+                if (!skippedLimits.has(key)) {
+                    skippedLimits.add(key);
+                    console.log(
+                        `⚠️ ${limit} ${threshold} skipped on ${event.camera}: its events' areas are in ${area.relative ? "fractions of the frame" : "pixels"} and the camera's detect resolution is unknown`
+                    );
+                }
+                continue;
+            }
+            if (tooSmall ? value < threshold : value > threshold) {
+                return {
+                    reason: limit,
+                    message: `area ${+value.toFixed(4)} ${tooSmall ? "below" : "above"} ${threshold}`,
+                };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check if an event is an object Frigate reports as stationary
+ * @param {Object} event
+ * @returns {{reason: string, message: string}|null} null if the event passes
+ */
+function getStationaryRejection(event) {
+    const rules = getFilterRules(event.camera, event.label);
+
+    if (rules.skip_stationary && event.stationary === true) {
+        return { reason: "stationary", message: "object is stationary" };
+    }
+    return null;
+}
+
+/**
+ * Check if an event is an object already seen in the same spot (e.g. a parked
+ * car producing new events), and remember it. Objects are remembered per camera
+ * and label in the state file; each sighting extends how long they are remembered.
+ * @param {Object} event
+ * @returns {{reason: string, message: string}|null} null if the event passes
+ */
+function getAlreadySeenRejection(event) {
+    const rules = getFilterRules(event.camera, event.label);
+    const eventBox = getEventBox(event);
+    if (!rules.suppress_seen_minutes || !eventBox) return null;
+
+    const seenObjects = getSection("seen_objects");
+    const key = `${event.camera}:${event.label}`;
+    const now = Date.now();
+    const objects = (seenObjects[key] || []).filter(
+        (object) => now - object.seen_at < rules.suppress_seen_minutes * 60 * 1000
+    );
+
+    const match = objects.find(
+        (object) =>
+            object.relative === eventBox.relative &&
+            boxOverlap(object.box, eventBox.box) >= (rules.seen_overlap ?? DEFAULT_SEEN_OVERLAP)
+    );
+
+    if (match) {
+        match.seen_at = now;
+    } else {
+        objects.push({ box: eventBox.box, relative: eventBox.relative, seen_at: now, event_id: event.id });
+    }
+    seenObjects[key] = objects;
+    scheduleSave();
+
+    return match
+        ? { reason: "already_seen", message: `same object as event ${match.event_id}` }
+        : null;
+}
+
+module.exports = {
+    loadDetectResolutions,
+    getEventScore,
+    getThresholdRejection,
+    getStationaryRejection,
+    getAlreadySeenRejection,
+};
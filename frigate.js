@@ -1,21 +1,172 @@
+const fs = require("fs");
+const https = require("https");
 const axios = require("axios");
 const {
-    FRIGATE_API_URL,
-    WEBHOOK_URL,
+    FRIGATE_INSTANCES,
     MEDIA_RETRY_ATTEMPTS,
     MEDIA_RETRY_DELAY_MS,
-    getGroupsForCamera,
+    getFrigateInstance,
+    getVideoConfig,
 } = require("./config");
+const { qualifyName, splitName, qualifyEvent } = require("./instances");
+const { fromReviewSegment } = require("./reviews");
+const { downloadRetries, downloadFailures } = require("./metrics");
+const { prepareClip, makePreview } = require("./video");
 
 const MIN_BUFFER_SIZE = 1024; // 1KB — anything smaller is likely an error response
+const END_POLL_INTERVAL_MS = 5000;
+const SYSTEM_REQUEST_TIMEOUT_MS = 10 * 1000;
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000; // log in again this long before the session expires
+
+/**
+ * Build the HTTPS agent for a custom CA, a client certificate or skipping
+ * certificate checks (frigate_tls)
+ * @param {Object} instance - see config.getFrigateInstance
+ * @returns {https.Agent|undefined} undefined to use the defaults
+ */
+function createHttpsAgent(instance) {
+    const { ca_file, cert_file, key_file, insecure_skip_verify } = instance.tls;
+    if (!ca_file && !cert_file && !insecure_skip_verify) return undefined;
+
+    if (insecure_skip_verify) {
+        console.log(`⚠️ TLS certificate checks are off for Frigate at ${instance.url} (insecure_skip_verify)`);
+    }
+    return new https.Agent({
+        ca: ca_file ? fs.readFileSync(ca_file) : undefined,
+        cert: cert_file ? fs.readFileSync(cert_file) : undefined,
+        key: key_file ? fs.readFileSync(key_file) : undefined,
+        rejectUnauthorized: !insecure_skip_verify,
+    });
+}
+
+/**
+ * Get the expiry time of a JWT from its payload
+ * @param {string} token
+ * @returns {number|null} ms, null if it can't be read
+ */
+function getTokenExpiry(token) {
+    try {
+        const payload = JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString());
+        return payload.exp ? payload.exp * 1000 : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Read the session token from a response's Set-Cookie headers
+ * @param {Object} response - axios response
+ * @param {string} cookieName
+ * @returns {string|null}
+ */
+function readSessionCookie(response, cookieName) {
+    const prefix = `${cookieName}=`;
+    const cookie = [].concat(response.headers?.["set-cookie"] || []).find((c) => c.startsWith(prefix));
+    return cookie ? cookie.slice(prefix.length).split(";")[0] : null;
+}
+
+/**
+ * Create the HTTP client for a Frigate instance. Every request to the instance
+ * goes through it, so its credentials and TLS settings apply to events,
+ * snapshots, thumbnails and clips alike. With a username, it logs in and keeps
+ * the session cookie fresh.
+ * @param {Object} instance - see config.getFrigateInstance
+ * @returns {import("axios").AxiosInstance}
+ */
+function createClient(instance) {
+    const { auth } = instance;
+    const client = axios.create({
+        httpsAgent: createHttpsAgent(instance),
+        headers: {
+            ...auth.headers,
+            ...(auth.token ? { Authorization: `Bearer ${auth.token}` } : {}),
+        },
+    });
+    if (!auth.username) return client;
+
+    // Login session: { token, refresh_at (ms, null if the token's expiry is unknown) }
+    let session = null;
+    let pendingLogin = null;
+
+    const setSession = (token) => {
+        const expiresAt = getTokenExpiry(token);
+        const margin = expiresAt && Math.min(TOKEN_REFRESH_MARGIN_MS, (expiresAt - Date.now()) / 2);
+        session = { token, refresh_at: expiresAt ? expiresAt - margin : null };
+    };
+
+    const login = async () => {
+        const response = await axios.post(
+            `${instance.url}/login`,
+            { user: auth.username, password: auth.password },
+            { httpsAgent: client.defaults.httpsAgent, headers: auth.headers }
+        );
+        const token = readSessionCookie(response, auth.cookie_name);
+        if (!token) throw new Error(`Frigate login returned no ${auth.cookie_name} cookie`);
+        setSession(token);
+        console.log(`🔑 Logged in to Frigate${instance.name ? ` (${instance.name})` : ""} as ${auth.username}`);
+    };
+
+    // Log in (once, however many requests are waiting) when there is no
+    // session or it is about to expire
+    const getSessionToken = async () => {
+        if (!session || (session.refresh_at && session.refresh_at <= Date.now())) {
+            pendingLogin ??= login().finally(() => {
+                pendingLogin = null;
+            });
+            await pendingLogin;
+        }
+        return session.token;
+    };
+
+    client.interceptors.request.use(async (request) => {
+        request.headers.Cookie = `${auth.cookie_name}=${await getSessionToken()}`;
+        return request;
+    });
+    client.interceptors.response.use(
+        (response) => {
+            // Frigate sends a refreshed token with responses as the session nears expiry
+            const token = readSessionCookie(response, auth.cookie_name);
+            if (token) setSession(token);
+            return response;
+        },
+        async (error) => {
+            const request = error.config;
+            if (error.response?.status !== 401 || !request || request.retriedLogin) throw error;
+            // The session expired or was revoked: log in again and retry once
+            session = null;
+            request.retriedLogin = true;
+            return client.request(request);
+        }
+    );
+    return client;
+}
+
+// HTTP clients per instance name ("" for the unnamed instance)
+const clients = new Map(
+    FRIGATE_INSTANCES.map((instance) => [instance.name ?? "", createClient(instance)])
+);
+
+/**
+ * Find the Frigate instance a qualified camera name or event ID belongs to
+ * @param {string} value - e.g. "cabin/front_door"
+ * @returns {{client: Object, url: string, name: string}} url is the instance's
+ *   API URL, name is Frigate's own camera name or event ID
+ */
+function resolve(value) {
+    const { instance: instanceName, name } = splitName(value);
+    const instance = getFrigateInstance(instanceName);
+    if (!instance) throw new Error(`Unknown Frigate instance for "${value}"`);
+    return { client: clients.get(instance.name ?? ""), url: instance.url, name };
+}
 
 /**
  * Retry an async function with increasing delays
  * @param {Function} fn - async function to retry
  * @param {string} label - description for logging
+ * @param {string} media - media type for metrics, e.g. "snapshot"
  * @returns {Promise<Buffer>}
  */
-async function downloadWithRetry(fn, label) {
+async function downloadWithRetry(fn, label, media) {
     let lastError;
     for (let attempt = 1; attempt <= MEDIA_RETRY_ATTEMPTS; attempt++) {
         try {
@@ -29,49 +180,229 @@ async function downloadWithRetry(fn, label) {
             if (attempt < MEDIA_RETRY_ATTEMPTS) {
                 const delay = MEDIA_RETRY_DELAY_MS * attempt;
                 console.log(`⏳ ${label} attempt ${attempt}/${MEDIA_RETRY_ATTEMPTS} failed (${e.message}), retrying in ${delay / 1000}s...`);
+                downloadRetries.inc({ media });
                 await new Promise((r) => setTimeout(r, delay));
             }
         }
     }
+    downloadFailures.inc({ media });
     throw lastError;
 }
 
 /**
- * Fetch events from Frigate API
+ * Fetch events from one Frigate instance (newest first), with qualified IDs and cameras
+ * @param {Object} instance - see config.getFrigateInstance
+ * @param {Object} [params] - optional query filters, e.g. { after, before, limit }
  * @returns {Promise<Array>}
  */
-async function fetchEvents() {
-    const response = await axios.get(`${FRIGATE_API_URL}/events`);
+async function fetchInstanceEvents(instance, params = {}) {
+    const client = clients.get(instance.name ?? "");
+    const response = await client.get(`${instance.url}/events`, { params });
+    return response.data.map((event) => qualifyEvent(instance.name, event));
+}
+
+/**
+ * Fetch events from Frigate API (newest first). Without an instance, every
+ * instance is asked, or just the one a qualified `cameras` filter names.
+ * @param {Object} [params] - optional query filters, e.g. { after, before, limit, cameras }
+ * @param {Object} [instance] - only ask this instance, see config.getFrigateInstance
+ * @returns {Promise<Array>}
+ */
+async function fetchEvents(params = {}, instance) {
+    if (instance) return fetchInstanceEvents(instance, params);
+
+    const { instance: instanceName, name } = splitName(params.cameras ?? "");
+    if (instanceName) {
+        const target = getFrigateInstance(instanceName);
+        if (!target) throw new Error(`Unknown Frigate instance for "${params.cameras}"`);
+        return fetchInstanceEvents(target, { ...params, cameras: name });
+    }
+
+    // One site being down shouldn't hide the others' events
+    const results = await Promise.allSettled(
+        FRIGATE_INSTANCES.map((target) => fetchInstanceEvents(target, params))
+    );
+    const failed = results.filter((result) => result.status === "rejected");
+    if (failed.length === results.length) throw failed[0].reason;
+    results.forEach((result, i) => {
+        if (result.status === "rejected") {
+            const { name, url } = FRIGATE_INSTANCES[i];
+            console.error(`❌ Error fetching events from Frigate ${name || url}:`, result.reason.message);
+        }
+    });
+    return results
+        .filter((result) => result.status === "fulfilled")
+        .flatMap((result) => result.value)
+        .sort((a, b) => b.start_time - a.start_time)
+        .slice(0, params.limit);
+}
+
+/**
+ * Fetch a single event from Frigate API
+ * @param {string} eventId - qualified
+ * @returns {Promise<Object>}
+ */
+async function fetchEvent(eventId) {
+    const { client, url, name } = resolve(eventId);
+    const response = await client.get(`${url}/events/${name}`);
+    return qualifyEvent(splitName(eventId).instance, response.data);
+}
+
+/**
+ * Fetch review segments from one Frigate instance (newest first), including
+ * ones already marked as reviewed in Frigate's UI
+ * @param {Object} params - query filters, e.g. { after, before, limit, severity }
+ * @param {Object} instance - see config.getFrigateInstance
+ * @returns {Promise<Array>} events, see reviews.fromReviewSegment
+ */
+async function fetchReviews(params, instance) {
+    const client = clients.get(instance.name ?? "");
+    const response = await client.get(`${instance.url}/review`, { params: { reviewed: 1, ...params } });
+    return response.data.map((review) => fromReviewSegment(instance.name, review));
+}
+
+/**
+ * Fetch a single review segment
+ * @param {string} reviewId - qualified
+ * @returns {Promise<Object>} event, see reviews.fromReviewSegment
+ */
+async function fetchReview(reviewId) {
+    const { client, url, name } = resolve(reviewId);
+    const response = await client.get(`${url}/review/${name}`);
+    return fromReviewSegment(splitName(reviewId).instance, response.data);
+}
+
+/**
+ * Fetch a Frigate instance's version
+ * @param {Object} instance - see config.getFrigateInstance
+ * @returns {Promise<string>} e.g. "0.14.1-f4f3cfa"
+ */
+async function fetchVersion(instance) {
+    const client = clients.get(instance.name ?? "");
+    const response = await client.get(`${instance.url}/version`, {
+        timeout: SYSTEM_REQUEST_TIMEOUT_MS,
+        responseType: "text",
+    });
+    return String(response.data).trim();
+}
+
+/**
+ * Fetch a Frigate instance's system stats: per-camera fps, detector inference
+ * speeds and storage usage
+ * @param {Object} instance - see config.getFrigateInstance
+ * @returns {Promise<Object>} as returned by Frigate's /stats
+ */
+async function fetchStats(instance) {
+    const client = clients.get(instance.name ?? "");
+    const response = await client.get(`${instance.url}/stats`, { timeout: SYSTEM_REQUEST_TIMEOUT_MS });
     return response.data;
 }
 
 /**
- * Download video clip for an event
+ * Fetch the detect resolution of each of a Frigate instance's cameras, which
+ * event boxes and areas are measured in
+ * @param {Object} instance - see config.getFrigateInstance
+ * @returns {Promise<Object<string, {width: number, height: number}>>} by qualified camera name
+ */
+async function fetchDetectResolutions(instance) {
+    const client = clients.get(instance.name ?? "");
+    const response = await client.get(`${instance.url}/config`, { timeout: SYSTEM_REQUEST_TIMEOUT_MS });
+    const resolutions = {};
+    for (const [cameraName, camera] of Object.entries(response.data.cameras || {})) {
+        const { width, height } = camera.detect || {};
+        if (width > 0 && height > 0) resolutions[qualifyName(instance.name, cameraName)] = { width, height };
+    }
+    return resolutions;
+}
+
+/**
+ * Mark an event as a false positive (Frigate 0.14+ uses POST, older versions PUT)
+ * @param {string} eventId - qualified
+ */
+async function markFalsePositive(eventId) {
+    const { client, url, name } = resolve(eventId);
+    const endpoint = `${url}/events/${name}/false_positive`;
+    try {
+        await client.post(endpoint);
+    } catch (error) {
+        if (![404, 405].includes(error.response?.status)) throw error;
+        await client.put(endpoint);
+    }
+}
+
+/**
+ * Delete an event from Frigate
+ * @param {string} eventId - qualified
+ */
+async function deleteEvent(eventId) {
+    const { client, url, name } = resolve(eventId);
+    await client.delete(`${url}/events/${name}`);
+}
+
+/**
+ * Wait for an event or review segment that is still in progress to end,
+ * polling Frigate for its end time. Sets event.end_time once known.
  * @param {Object} event
- * @returns {Promise<Buffer>}
+ * @param {number} waitMs - longest to wait
  */
-async function downloadVideo(event) {
-    if (!event.end_time) {
-        await new Promise((r) => {
-            setTimeout(() => {
-                event.end_time = event.start_time + 17;
-                r();
-            }, 20000);
-        });
+async function waitForEventEnd(event, waitMs) {
+    const deadline = Date.now() + waitMs;
+    while (!event.end_time && Date.now() < deadline) {
+        await new Promise((r) => setTimeout(r, END_POLL_INTERVAL_MS));
+        try {
+            const latest = event.review ? await fetchReview(event.id) : await fetchEvent(event.id);
+            if (latest.end_time) event.end_time = latest.end_time;
+        } catch (e) {
+            // Keep waiting; Frigate may be briefly unreachable
+        }
     }
-    const url = `${FRIGATE_API_URL}/${event.camera}/start/${event.start_time}/end/${event.end_time}/clip.mp4`;
-    const response = await axios.get(url, { responseType: "arraybuffer" });
+}
+
+/**
+ * Download the recording of a camera between two times
+ * @param {string} camera
+ * @param {number} start - unix seconds
+ * @param {number} end - unix seconds
+ * @returns {Promise<Buffer>}
+ */
+async function downloadVideo(camera, start, end) {
+    const { client, url, name } = resolve(camera);
+    const response = await client.get(`${url}/${name}/start/${start}/end/${end}/clip.mp4`, {
+        responseType: "arraybuffer",
+    });
     return Buffer.from(response.data, "binary");
 }
 
+/**
+ * Download an event's clip from its start to its real end time, waiting for the
+ * event to end if needed, and capped at the configured maximum duration
+ * @param {Object} event
+ * @param {string} label - description for logging
+ * @param {string} media - media type for metrics
+ * @returns {Promise<{buffer: Buffer, duration: number}>} duration in seconds
+ */
+async function downloadEventClip(event, label, media) {
+    const { end_wait_ms, max_duration_seconds } = getVideoConfig();
+    await waitForEventEnd(event, end_wait_ms);
+
+    // Still in progress after waiting: take what has been recorded so far
+    const end = Math.min(event.end_time || Date.now() / 1000, event.start_time + max_duration_seconds);
+    const buffer = await downloadWithRetry(
+        () => downloadVideo(event.camera, event.start_time, end),
+        label,
+        media
+    );
+    return { buffer, duration: end - event.start_time };
+}
+
 /**
  * Download snapshot for an event
  * @param {Object} event
  * @returns {Promise<Buffer>}
  */
 async function downloadSnapshot(event) {
-    const url = `${FRIGATE_API_URL}/events/${event.id}/snapshot.jpg`;
-    const response = await axios.get(url, { responseType: "arraybuffer" });
+    const { client, url, name } = resolve(event.id);
+    const response = await client.get(`${url}/events/${name}/snapshot.jpg`, { responseType: "arraybuffer" });
     return Buffer.from(response.data, "binary");
 }
 
@@ -81,62 +412,202 @@ async function downloadSnapshot(event) {
  * @returns {Promise<Buffer>}
  */
 async function downloadThumbnail(event) {
-    const url = `${FRIGATE_API_URL}/events/${event.id}/thumbnail.jpg`;
-    const response = await axios.get(url, { responseType: "arraybuffer" });
+    const { client, url, name } = resolve(event.id);
+    const response = await client.get(`${url}/events/${name}/thumbnail.jpg`, { responseType: "arraybuffer" });
+    return Buffer.from(response.data, "binary");
+}
+
+/**
+ * Download Frigate's own preview of a review segment, made from its
+ * low-resolution preview recordings (no ffmpeg needed)
+ * @param {Object} event - a review segment
+ * @param {string} format - "gif" or "mp4"
+ * @returns {Promise<Buffer>}
+ */
+async function downloadReviewPreview(event, format) {
+    const { client, url, name } = resolve(event.id);
+    const response = await client.get(`${url}/review/${name}/preview`, {
+        params: { format },
+        responseType: "arraybuffer",
+    });
+    return Buffer.from(response.data, "binary");
+}
+
+/**
+ * Download the latest frame from a camera
+ * @param {string} camera
+ * @returns {Promise<Buffer>}
+ */
+async function downloadLatestFrame(camera) {
+    const { client, url, name } = resolve(camera);
+    const response = await client.get(`${url}/${encodeURIComponent(name)}/latest.jpg`, {
+        responseType: "arraybuffer",
+    });
     return Buffer.from(response.data, "binary");
 }
 
 /**
- * Get ordered list of media download attempts for an event
+ * Get ordered list of media download attempts for an event: the preview (if
+ * enabled), the clip, the snapshot and the thumbnail. Each download resolves
+ * to the media and, for clips, its thumbnail and duration. The preview and the
+ * clip share one download of the recording.
  * @param {Object} event
  * @returns {Array<{download: Function, fileName: string, label: string}>}
+ *   download: () => Promise<{buffer: Buffer, thumbnail?: Buffer, duration?: number, animation?: boolean}>
  */
 function getMediaDownloaders(event) {
-    return [
+    if (event.review) return getReviewMediaDownloaders(event);
+
+    const { preview } = getVideoConfig();
+    let recording;
+    const downloadRecording = () =>
+        (recording ??= downloadEventClip(event, `Video [${event.id}]`, "video"));
+
+    const clips = [
         {
-            download: () => downloadWithRetry(() => downloadVideo(event), `Video [${event.id}]`),
+            download: async () => {
+                const { buffer } = await downloadRecording();
+                return makePreview(buffer);
+            },
+            fileName: `preview.${preview.format}`,
+            label: "Preview",
+            enabled: preview.enabled,
+        },
+        {
+            download: async () => {
+                const { buffer, duration } = await downloadRecording();
+                return prepareClip(buffer, duration);
+            },
             fileName: "video.mp4",
             label: "Video",
+            enabled: true,
         },
+    ];
+
+    return [
+        // Events without recordings have no clip to wait for
+        ...(event.has_clip === false ? [] : clips.filter((clip) => clip.enabled)),
         {
-            download: () => downloadWithRetry(() => downloadSnapshot(event), `Snapshot [${event.id}]`),
+            download: async () => ({
+                buffer: await downloadWithRetry(() => downloadSnapshot(event), `Snapshot [${event.id}]`, "snapshot"),
+            }),
             fileName: "snapshot.jpg",
             label: "Snapshot",
         },
         {
-            download: () => downloadWithRetry(() => downloadThumbnail(event), `Thumbnail [${event.id}]`),
+            download: async () => ({
+                buffer: await downloadWithRetry(() => downloadThumbnail(event), `Thumbnail [${event.id}]`, "thumbnail"),
+            }),
             fileName: "thumbnail.jpg",
             label: "Thumbnail",
         },
+    ].map(({ enabled, ...downloader }) => downloader);
+}
+
+/**
+ * Get ordered list of media download attempts for a review segment: Frigate's
+ * preview of the segment, its clip, then the snapshot and thumbnail of its
+ * first tracked object (segments with only audio have no stills)
+ * @param {Object} event - a review segment, see reviews.fromReviewSegment
+ * @returns {Array<{download: Function, fileName: string, label: string}>}
+ */
+function getReviewMediaDownloaders(event) {
+    const { preview } = getVideoConfig();
+    const [detectionId] = event.detections;
+
+    const stills = detectionId
+        ? [
+              {
+                  download: async () => ({
+                      buffer: await downloadWithRetry(
+                          () => downloadSnapshot({ id: detectionId }),
+                          `Snapshot [${detectionId}]`,
+                          "snapshot"
+                      ),
+                  }),
+                  fileName: "snapshot.jpg",
+                  label: "Snapshot",
+              },
+              {
+                  download: async () => ({
+                      buffer: await downloadWithRetry(
+                          () => downloadThumbnail({ id: detectionId }),
+                          `Thumbnail [${detectionId}]`,
+                          "thumbnail"
+                      ),
+                  }),
+                  fileName: "thumbnail.jpg",
+                  label: "Thumbnail",
+              },
+          ]
+        : [];
+
+    return [
+        {
+            download: async () => ({
+                buffer: await downloadWithRetry(
+                    () => downloadReviewPreview(event, preview.format),
+                    `Preview [${event.id}]`,
+                    "preview"
+                ),
+                animation: true,
+            }),
+            fileName: `preview.${preview.format}`,
+            label: "Preview",
+        },
+        {
+            download: async () => {
+                const { buffer, duration } = await downloadEventClip(event, `Video [${event.id}]`, "video");
+                return prepareClip(buffer, duration);
+            },
+            fileName: "video.mp4",
+            label: "Video",
+        },
+        ...stills,
     ];
 }
 
 /**
- * Trigger webhook for an event
+ * Download a still image for an event (snapshot, falling back to thumbnail)
  * @param {Object} event
+ * @returns {Promise<{buffer: Buffer, fileName: string}|null>}
  */
-async function triggerWebhook(event) {
-    if (!WEBHOOK_URL) return;
-
-    const payload = {
-        event_id: event.id,
-        camera: event.camera,
-        label: event.label,
-        start_time: event.start_time,
-        end_time: event.end_time,
-        groups: getGroupsForCamera(event.camera).map((g) => g.name),
-    };
+async function downloadStill(event) {
+    const stills = getMediaDownloaders(event).filter((d) => d.fileName.endsWith(".jpg"));
 
-    try {
-        await axios.post(WEBHOOK_URL, payload);
-        console.log("✅ Webhook triggered successfully");
-    } catch (error) {
-        console.error("❌ Error triggering webhook:", error.message);
+    for (const { download, fileName, label } of stills) {
+        try {
+            return { buffer: (await download()).buffer, fileName };
+        } catch (e) {
+            console.log(`⚠️ ${label} download failed after retries, trying next...`);
+        }
     }
+    return null;
+}
+
+/**
+ * Download the clip for an event that has ended, fitted to the size and
+ * duration limits
+ * @param {Object} event
+ * @returns {Promise<{buffer: Buffer, duration: number, thumbnail?: Buffer}>}
+ */
+async function downloadClip(event) {
+    const { buffer, duration } = await downloadEventClip(event, `Clip [${event.id}]`, "clip");
+    return prepareClip(buffer, duration);
 }
 
 module.exports = {
     fetchEvents,
+    fetchEvent,
+    fetchReviews,
+    fetchReview,
+    fetchVersion,
+    fetchStats,
+    fetchDetectResolutions,
+    markFalsePositive,
+    deleteEvent,
+    downloadClip,
+    downloadLatestFrame,
     getMediaDownloaders,
-    triggerWebhook,
+    downloadStill,
 };
@@ -0,0 +1,103 @@
+const { HTTP_CONFIG } = require("./config");
+const { gauge } = require("./metrics");
+
+// Outcome of the latest calls per component ("frigate", "telegram")
+const components = new Map();
+
+/**
+ * Get a component's health record, creating it on first use
+ * @param {string} name
+ * @returns {{last_success: number|null, last_failure: number|null, failing_since: number|null, last_error: string|null}}
+ */
+function getComponent(name) {
+    if (!components.has(name)) {
+        components.set(name, {
+            last_success: null,
+            last_failure: null,
+            failing_since: null,
+            last_error: null,
+        });
+    }
+    return components.get(name);
+}
+
+/**
+ * Get the component name for one Frigate instance's connection, e.g. "frigate:cabin"
+ * @param {string} component - "frigate" or "mqtt"
+ * @param {string|null} instanceName - null for the unnamed instance
+ * @returns {string}
+ */
+function instanceComponent(component, instanceName) {
+    return instanceName ? `${component}:${instanceName}` : component;
+}
+
+/**
+ * Record a successful call to a component, ending any run of failures
+ * @param {string} name
+ */
+function recordSuccess(name) {
+    const component = getComponent(name);
+    component.last_success = Date.now();
+    component.failing_since = null;
+}
+
+/**
+ * Record a failed call to a component
+ * @param {string} name
+ * @param {Error|string} error
+ */
+function recordFailure(name, error) {
+    const component = getComponent(name);
+    component.last_failure = Date.now();
+    component.failing_since ??= component.last_failure;
+    component.last_error = error?.message || String(error);
+}
+
+/**
+ * Check if a component has been failing, without a success, for longer than allowed
+ * @param {{failing_since: number|null}} component
+ * @returns {boolean}
+ */
+function isHealthy(component) {
+    return (
+        component.failing_since === null ||
+        Date.now() - component.failing_since < HTTP_CONFIG.unhealthy_after_ms
+    );
+}
+
+/**
+ * Get the health of every component that has been used so far
+ * @returns {{healthy: boolean, components: Object}}
+ */
+function getHealth() {
+    const report = {};
+    for (const [name, component] of components) {
+        report[name] = {
+            healthy: isHealthy(component),
+            ...Object.fromEntries(
+                Object.entries(component).map(([key, value]) => [
+                    key,
+                    typeof value === "number" ? new Date(value).toISOString() : value,
+                ])
+            ),
+        };
+    }
+    return {
+        healthy: Object.values(report).every((component) => component.healthy),
+        components: report,
+    };
+}
+
+gauge("component_healthy", "1 if calls to the component are succeeding, 0 if failing for too long", () =>
+    [...components].map(([name, component]) => ({
+        labels: { component: name },
+        value: isHealthy(component) ? 1 : 0,
+    }))
+);
+
+module.exports = {
+    instanceComponent,
+    recordSuccess,
+    recordFailure,
+    getHealth,
+};
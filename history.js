@@ -0,0 +1,210 @@
+const fs = require("fs");
+const { HISTORY_CONFIG, getEventZones } = require("./config");
+const { getEventScore } = require("./filters");
+const { addRoute } = require("./server");
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+const COMPACT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// History records by event ID, oldest first. The file is append-only JSONL: a
+// "decision" line when an event is handled, then a "delivery" line each time a
+// group is sent the alert. Loading merges them back into one record per event.
+const records = new Map();
+
+/**
+ * Apply one line of the history file to the in-memory records
+ * @param {Object} line
+ */
+function applyLine(line) {
+    if (line.kind === "decision") {
+        const { kind, ...record } = line;
+        records.set(record.event_id, { deliveries: [], ...record });
+    } else if (line.kind === "delivery") {
+        const { kind, event_id, ...delivery } = line;
+        records.get(event_id)?.deliveries.push(delivery);
+    }
+}
+
+/**
+ * Append a line to the history file
+ * @param {Object} line
+ */
+function appendLine(line) {
+    try {
+        fs.appendFileSync(HISTORY_CONFIG.path, JSON.stringify(line) + "\n");
+    } catch (error) {
+        console.error(`❌ Failed to write history file ${HISTORY_CONFIG.path}:`, error.message);
+    }
+}
+
+/**
+ * Drop records older than the retention period and rewrite the file with one
+ * line per event (atomic rename)
+ */
+function compactHistory() {
+    const cutoff = (Date.now() - HISTORY_CONFIG.retention_ms) / 1000;
+    for (const [eventId, record] of records) {
+        if (record.start_time < cutoff) records.delete(eventId);
+    }
+
+    const lines = [...records.values()].flatMap(({ deliveries, ...record }) => [
+        JSON.stringify({ kind: "decision", ...record }),
+        ...deliveries.map((delivery) =>
+            JSON.stringify({ kind: "delivery", event_id: record.event_id, ...delivery })
+        ),
+    ]);
+
+    const tmpPath = `${HISTORY_CONFIG.path}.tmp`;
+    try {
+        fs.writeFileSync(tmpPath, lines.map((line) => line + "\n").join(""));
+        fs.renameSync(tmpPath, HISTORY_CONFIG.path);
+    } catch (error) {
+        console.error(`❌ Failed to compact history file ${HISTORY_CONFIG.path}:`, error.message);
+    }
+}
+
+/**
+ * Load the history file (missing file = empty history) and compact it once a day
+ */
+function loadHistory() {
+    if (!HISTORY_CONFIG.enabled) return;
+
+    if (fs.existsSync(HISTORY_CONFIG.path)) {
+        const lines = fs.readFileSync(HISTORY_CONFIG.path, "utf8").split("\n");
+        for (const line of lines.filter(Boolean)) {
+            try {
+                applyLine(JSON.parse(line));
+            } catch (e) {
+                // A line cut short by a crash mid-write; the rest of the file is fine
+            }
+        }
+        compactHistory();
+        console.log(`✅ History loaded from ${HISTORY_CONFIG.path} (${records.size} events)`);
+    }
+
+    setInterval(compactHistory, COMPACT_INTERVAL_MS);
+}
+
+/**
+ * Record what was decided for an event
+ * @param {Object} event
+ * @param {{outcome: string, reason?: string, detail?: string, groups?: Array<string>, skipped_groups?: Array<{group: string, reason: string}>}} decision
+ *   outcome "alerted" or "filtered"; reason is the filter that stopped it
+ */
+function recordDecision(event, decision) {
+    if (!HISTORY_CONFIG.enabled) return;
+
+    const record = {
+        event_id: event.id,
+        camera: event.camera,
+        label: event.label,
+        sub_label: event.sub_label || null,
+        severity: event.severity || null,
+        zones: getEventZones(event),
+        score: getEventScore(event),
+        start_time: event.start_time,
+        end_time: event.end_time || null,
+        recorded_at: new Date().toISOString(),
+        outcome: decision.outcome,
+        reason: decision.reason || null,
+        detail: decision.detail || null,
+        groups: decision.groups || [],
+        skipped_groups: decision.skipped_groups || [],
+    };
+    records.set(record.event_id, { ...record, deliveries: [] });
+    appendLine({ kind: "decision", ...record });
+}
+
+/**
+ * Record how an alert reached a group
+ * @param {string} eventId
+ * @param {{group: string, notifier: string, media: string|null, message_ids: Array<number>}} delivery
+ *   media is null when every attempt failed
+ */
+function recordDelivery(eventId, delivery) {
+    if (!HISTORY_CONFIG.enabled || !records.has(eventId)) return;
+
+    const entry = { ...delivery, delivered_at: new Date().toISOString() };
+    records.get(eventId).deliveries.push(entry);
+    appendLine({ kind: "delivery", event_id: eventId, ...entry });
+}
+
+/**
+ * Parse a time query parameter: unix seconds or an ISO 8601 date/time
+ * @param {string} value
+ * @returns {number|null} unix seconds, null if invalid
+ */
+function parseTimeParam(value) {
+    if (/^\d+(\.\d+)?$/.test(value)) return Number(value);
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : ms / 1000;
+}
+
+/**
+ * Query history records, newest first
+ * @param {{camera?: string, label?: string, group?: string, outcome?: string, reason?: string, event_id?: string, from?: number, to?: number, limit?: number}} query
+ *   group matches groups that were alerted or skipped; from/to are unix seconds
+ *   compared with the event's start time
+ * @returns {Array<Object>}
+ */
+function queryHistory(query) {
+    const matches = [];
+    const all = [...records.values()];
+
+    for (let i = all.length - 1; i >= 0 && matches.length < query.limit; i--) {
+        const record = all[i];
+        if (query.event_id && record.event_id !== query.event_id) continue;
+        if (query.camera && record.camera !== query.camera) continue;
+        if (query.label && record.label !== query.label) continue;
+        if (query.outcome && record.outcome !== query.outcome) continue;
+        if (query.reason && record.reason !== query.reason) continue;
+        if (query.from !== undefined && record.start_time < query.from) continue;
+        if (query.to !== undefined && record.start_time > query.to) continue;
+        if (
+            query.group &&
+            !record.groups.includes(query.group) &&
+            !record.skipped_groups.some((skipped) => skipped.group === query.group)
+        ) {
+            continue;
+        }
+        matches.push(record);
+    }
+    return matches;
+}
+
+addRoute("GET", "/history", (req, url) => {
+    if (!HISTORY_CONFIG.enabled) {
+        return { status: 404, body: { error: "History is disabled" } };
+    }
+
+    const params = Object.fromEntries(url.searchParams);
+    const query = {
+        ...params,
+        limit: Math.min(Number(params.limit) || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT),
+    };
+    for (const field of ["from", "to"]) {
+        if (params[field] === undefined) continue;
+        query[field] = parseTimeParam(params[field]);
+        if (query[field] === null) {
+            return {
+                status: 400,
+                body: { error: `Invalid "${field}": use unix seconds or an ISO 8601 date/time` },
+            };
+        }
+    }
+    if (query.outcome && !["alerted", "filtered"].includes(query.outcome)) {
+        return { status: 400, body: { error: 'Invalid "outcome": use "alerted" or "filtered"' } };
+    }
+
+    const results = queryHistory(query);
+    return { body: { count: results.length, records: results } };
+});
+
+module.exports = {
+    loadHistory,
+    recordDecision,
+    recordDelivery,
+    queryHistory,
+    parseTimeParam,
+};
@@ -1,135 +1,518 @@
+const fs = require("fs");
 const {
     config,
+    CONFIG_PATH,
     POLL_INTERVAL,
+    FRIGATE_INSTANCES,
+    STATE_RETENTION_MS,
+    CATCHUP_WINDOW_MS,
     getCameraSchedule,
+    getGroupSchedule,
+    getDefaultSchedule,
     getScheduleForCameraAndGroup,
-    shouldAlertAnyGroup,
     isLabelAllowed,
+    isZoneAllowed,
+    isZoneRouted,
+    getEventZones,
+    getGroupNamesForCamera,
+    getGroupNamesForEvent,
+    getGroupsForCamera,
+    getGroupsForEvent,
+    getReviewConfig,
+    getMessageConfig,
+    reloadConfig,
 } = require("./config");
-const { sendMediaAlertToGroups, sendTextAlertToGroups } = require("./telegram");
-const { fetchEvents, getMediaDownloaders, triggerWebhook } = require("./frigate");
+const { formatAlertMessage, getRecipientGroups } = require("./telegram");
+const { fetchEvents, fetchReviews, fetchReview } = require("./frigate");
+const { triggerWebhooks, describeWebhook } = require("./webhooks");
+const notifiers = require("./notifiers");
+const { startMqttListener } = require("./mqtt");
+const { startBot } = require("./bot");
+const { describeSchedule, resolveTime } = require("./schedule");
+const { getMutedUntil } = require("./mutes");
+const {
+    loadDetectResolutions,
+    getThresholdRejection,
+    getStationaryRejection,
+    getAlreadySeenRejection,
+} = require("./filters");
+const { applyCooldown, queueAlert } = require("./aggregation");
+const { eventsSeen, eventsFiltered, eventsAlerted } = require("./metrics");
+const { recordSuccess, recordFailure, instanceComponent } = require("./health");
+const { startHttpServer } = require("./server");
+const { loadHistory, recordDecision } = require("./history");
+const { registerJobType, enqueue, startOutbox } = require("./outbox");
+const { getActiveMode, getArmedGroups } = require("./modes");
+const { startEscalation, startEscalations } = require("./escalations");
+const { formatEscalationNote } = require("./templates");
+const { getOption, runSimulation, recordEvent } = require("./simulate");
+const { startMonitor, describeMonitor } = require("./monitor");
+const { startDigests, describeDigest } = require("./digest");
+const {
+    loadState,
+    saveState,
+    keepStateInMemory,
+    isProcessed,
+    markProcessed,
+    touchLastTimestamp,
+    getLastTimestamp,
+} = require("./state");
+
+const CATCHUP_MARGIN_SECONDS = 60; // events can start shortly before Frigate publishes them
+const CATCHUP_EVENT_LIMIT = 1000;
+
+// Notifier settings are checked here rather than in config.js, since the
+// notifiers themselves depend on the loaded config
+const groupErrors = notifiers.validateGroups(config.groups);
+if (groupErrors.length > 0) {
+    for (const error of groupErrors) console.error(`❌ ${error}`);
+    process.exit(1);
+}
+
+if (process.argv.includes("--check-config")) {
+    printConfigSummary();
+    printRoutingTable();
+    console.log("✅ Config is valid");
+    process.exit(0);
+}
+
+if (process.argv.includes("--simulate")) {
+    loadState(); // for the active mode
+    keepStateInMemory();
+    process.exit(runSimulation(process.argv));
+}
+
+// With --record, events are appended to a file for --simulate --file instead of
+// alerting, starting from now and leaving the service's state file alone
+const RECORD_PATH = process.argv.includes("--record") ? getOption(process.argv, "record") || "./events.jsonl" : null;
+
+if (RECORD_PATH) {
+    keepStateInMemory();
+} else {
+    loadState();
+    loadHistory();
+}
+
+// Per Frigate instance (by name, "" when unnamed): events that started before
+// this time (unix seconds) are never processed
+const eventsFloors = new Map(
+    FRIGATE_INSTANCES.map((instance) => [instance.name || "", getStartupFloor(instance)])
+);
+
+/**
+ * Work out how far back to look for an instance's events on startup.
+ * Without saved state only new events are processed; otherwise events missed
+ * while the service was down are caught up, limited to the catch-up window.
+ * @param {Object} instance - see config.FRIGATE_INSTANCES
+ * @returns {number}
+ */
+function getStartupFloor(instance) {
+    const now = Date.now() / 1000;
+    const lastTimestamp = getLastTimestamp(instance.name);
+
+    if (lastTimestamp === null || CATCHUP_WINDOW_MS === 0) return now;
+
+    return Math.max(
+        lastTimestamp - CATCHUP_MARGIN_SECONDS,
+        now - CATCHUP_WINDOW_MS / 1000
+    );
+}
 
-let lastEvent;
-let lastTimestamp = 0;
+/**
+ * Get a short label for a Frigate instance in log messages
+ * @param {Object} instance
+ * @returns {string} e.g. " (cabin)", empty for an unnamed instance
+ */
+function describeInstance(instance) {
+    return instance.name ? ` (${instance.name})` : "";
+}
+
+// Review segments waiting to end, by ID, with the timer that checks them again
+// once review.end_wait_seconds runs out (MQTT only; polling sees them anyway)
+const reviewChecks = new Map();
 
 /**
- * Fetch and process events from Frigate
+ * Fetch and process events (or review segments, with ingest_source "review")
+ * from one Frigate instance
+ * @param {Object} instance - see config.FRIGATE_INSTANCES
  */
-async function fetchFrigateEvents() {
+async function fetchFrigateEvents(instance) {
+    const key = instance.name || "";
     try {
-        const events = await fetchEvents();
+        const params = {
+            after: eventsFloors.get(key),
+            limit: CATCHUP_EVENT_LIMIT,
+        };
+        const events =
+            instance.ingest_source === "review"
+                ? await fetchReviews(params, instance)
+                : await fetchEvents(params, instance);
+
+        // Oldest first, skipping anything already handled
+        const newEvents = events
+            .filter((event) => !isProcessed(event.id) && !isAwaitingEnd(event) && !isAwaitingFilters(event))
+            .reverse();
+        newEvents.forEach(markProcessed);
+        touchLastTimestamp(instance.name);
+        recordSuccess(instanceComponent("frigate", instance.name));
 
-        if (events.length > 0) {
+        if (newEvents.length > 0) {
             await new Promise((r) => setTimeout(r, 5000));
 
-            for (const event of events) {
-                if (!lastEvent || event.id === lastEvent.id) break;
-                if (!isLabelAllowed(event)) {
-                    console.log(
-                        `🏷️ Event ${event.id} label "${event.label}" not in allowed list for ${event.camera}`
-                    );
-                    continue;
-                }
-                if (!shouldAlertAnyGroup(event)) {
-                    console.log(
-                        `⏰ Event ${event.id} outside schedule for ${event.camera} (no groups to alert)`
-                    );
-                    continue;
-                }
-                if (event.start_time < lastTimestamp) continue;
-
-                processEvent(event);
+            for (const event of newEvents) {
+                handleEvent(event);
             }
-
-            lastEvent = events[0];
-            lastTimestamp = Date.now() / 1000 - 10 * 60;
         }
+
+        eventsFloors.set(key, Math.max(eventsFloors.get(key), getNextFloor(events)));
     } catch (error) {
         console.error(
-            "❌ Error fetching events:",
+            `❌ Error fetching events${describeInstance(instance)}:`,
             error.response?.data || error.message
         );
+        recordFailure(instanceComponent("frigate", instance.name), error);
     }
 }
 
 /**
- * Process a single Frigate event
+ * Work out where the next poll can start after handling a batch of events: just
+ * before the newest event handled, or before the oldest one still waiting for
+ * its filters or end, so each poll only asks for recent events. Processed events
+ * are forgotten after the state retention, so it never lies further back than that.
+ * @param {Array<Object>} events - the batch, including events already processed
+ * @returns {number} unix seconds
+ */
+function getNextFloor(events) {
+    const retentionFloor = (Date.now() - STATE_RETENTION_MS) / 1000;
+    const handled = events.filter((event) => isProcessed(event.id)).map((event) => event.start_time);
+    if (handled.length === 0) return retentionFloor;
+
+    const waiting = events.filter((event) => !isProcessed(event.id)).map((event) => event.start_time);
+    return Math.max(retentionFloor, Math.min(Math.max(...handled), ...waiting) - CATCHUP_MARGIN_SECONDS);
+}
+
+/**
+ * Catch up on events missed on one Frigate instance while the service was down
+ * @param {Object} instance
+ */
+async function catchUpMissedEvents(instance) {
+    const now = Date.now() / 1000;
+    const floor = eventsFloors.get(instance.name || "");
+    if (floor >= now) return;
+
+    console.log(
+        `🔄 Catching up on events${describeInstance(instance)} since ${new Date(floor * 1000).toLocaleString()}`
+    );
+    await fetchFrigateEvents(instance);
+}
+
+/**
+ * Check if an in-progress event fails the zone, score or size rules but may still
+ * pass them (the object can enter a zone, its score and box change), or hasn't
+ * reached a zone its camera routes to groups yet, so the decision should wait
+ * for a later update. Once the event ends it is decided on what it reached.
  * @param {Object} event
+ * @returns {boolean}
  */
-async function processEvent(event) {
-    const schedule = getCameraSchedule(event.camera);
-    const scheduleInfo = schedule.always_send
-        ? "🔔 Always Send"
-        : `⏰ ${schedule.start_time} - ${schedule.end_time}`;
-
-    const message = `🚨 <b>Frigate Alert!</b>
-📷 Camera: ${event.camera}
-📌 Object: ${event.label}
-⏳ Time: ${new Date(event.start_time * 1000).toLocaleString()}
-${scheduleInfo}`;
-
-    triggerWebhook(event);
-
-    const send = async () => {
-        const downloaders = getMediaDownloaders(event);
-
-        for (const { download, fileName, label } of downloaders) {
-            try {
-                const buffer = await download();
-                const sent = await sendMediaAlertToGroups(event, buffer, message, fileName);
-                if (sent) return;
-                console.log(`⚠️ ${label} downloaded but Telegram rejected it, trying next...`);
-            } catch (e) {
-                console.log(`⚠️ ${label} download failed after retries, trying next...`);
-            }
+function isAwaitingFilters(event) {
+    return (
+        !event.end_time &&
+        (!isZoneAllowed(event) || !!getThresholdRejection(event) || !isZoneRouted(event))
+    );
+}
+
+/**
+ * Check if a review segment is still in progress and may still gain objects, so
+ * its single alert should wait for it to end (at most review.end_wait_seconds)
+ * @param {Object} event
+ * @returns {boolean}
+ */
+function isAwaitingEnd(event) {
+    return (
+        event.review === true &&
+        !event.end_time &&
+        Date.now() - event.start_time * 1000 < getReviewConfig().end_wait_ms
+    );
+}
+
+/**
+ * Check a review segment again once its wait runs out, in case Frigate sends no
+ * further update before then
+ * @param {Object} instance
+ * @param {Object} event
+ */
+function scheduleReviewCheck(instance, event) {
+    if (reviewChecks.has(event.id)) return;
+
+    const delay = event.start_time * 1000 + getReviewConfig().end_wait_ms - Date.now();
+    const timer = setTimeout(async () => {
+        reviewChecks.delete(event.id);
+        if (isProcessed(event.id)) return;
+        try {
+            handleMqttEvent(instance, await fetchReview(event.id));
+        } catch (error) {
+            console.error(`❌ Error fetching review ${event.id}:`, error.response?.data || error.message);
         }
+    }, Math.max(delay, 0));
+    reviewChecks.set(event.id, timer);
+}
+
+/**
+ * Handle an event received over MQTT, once per event ID
+ * @param {Object} instance - the Frigate instance it came from
+ * @param {Object} event - already qualified with the instance's name
+ */
+function handleMqttEvent(instance, event) {
+    if (isProcessed(event.id)) return;
+    if (isAwaitingEnd(event)) {
+        scheduleReviewCheck(instance, event);
+        return;
+    }
+    if (isAwaitingFilters(event)) return;
+
+    markProcessed(event);
+    touchLastTimestamp(instance.name);
+    handleEvent(event);
+}
 
-        console.error("❌ All media types failed for event:", event.id);
-        await sendTextAlertToGroups(event, message + "\n⚠️ (No media available)");
+/**
+ * Apply label, zone, threshold and schedule filters to an event and process it if any group should be alerted
+ * (with --record, only write it to the record file)
+ * @param {Object} event
+ */
+function handleEvent(event) {
+    if (RECORD_PATH) {
+        recordEvent(RECORD_PATH, event);
+        return;
+    }
+    eventsSeen.inc({ camera: event.camera });
+    const filtered = (reason, detail, skippedGroups) => {
+        eventsFiltered.inc({ camera: event.camera, reason });
+        recordDecision(event, { outcome: "filtered", reason, detail, skipped_groups: skippedGroups });
     };
 
-    if (event.has_clip && !event.end_time) {
-        setTimeout(async () => {
-            event.end_time = event.start_time + 5;
-            send();
-        }, 7000);
-    } else {
-        send();
+    if (!isLabelAllowed(event)) {
+        console.log(
+            `🏷️ Event ${event.id} label "${event.label}" not in allowed list for ${event.camera}`
+        );
+        filtered("label", `label "${event.label}" not allowed`);
+        return;
+    }
+    if (!isZoneAllowed(event)) {
+        const zones = getEventZones(event);
+        console.log(
+            `📍 Event ${event.id} "${event.label}" in zones [${zones.join(", ")}] not allowed for ${event.camera}`
+        );
+        filtered("zone", `zones [${zones.join(", ")}] not allowed`);
+        return;
+    }
+    const thresholdRejection = getThresholdRejection(event);
+    if (thresholdRejection) {
+        console.log(
+            `📉 Event ${event.id} "${event.label}" on ${event.camera} filtered: ${thresholdRejection.message}`
+        );
+        filtered(thresholdRejection.reason, thresholdRejection.message);
+        return;
+    }
+    const stationaryRejection = getStationaryRejection(event) || getAlreadySeenRejection(event);
+    if (stationaryRejection) {
+        console.log(
+            `🅿️ Event ${event.id} "${event.label}" on ${event.camera} filtered: ${stationaryRejection.message}`
+        );
+        filtered(stationaryRejection.reason, stationaryRejection.message);
+        return;
+    }
+    const mutedUntil = getMutedUntil(event.camera);
+    if (mutedUntil) {
+        console.log(
+            `🔇 Event ${event.id} from ${event.camera} muted until ${new Date(mutedUntil).toLocaleString()}`
+        );
+        filtered("muted", `muted until ${new Date(mutedUntil).toISOString()}`);
+        return;
     }
+    // Groups dropped at each of the per-group stages below, for the history
+    const skippedGroups = [];
+    const skip = (from, to, reason) => {
+        for (const group of from.filter((g) => !to.some((t) => t.name === g.name))) {
+            skippedGroups.push({ group: group.name, reason });
+        }
+    };
+
+    // Review segments only go to groups subscribed to their severity (an arming
+    // mode checks that itself, for the groups it picks)
+    const mode = getActiveMode();
+    const routed = getGroupsForEvent(event);
+    skip(getGroupsForCamera(event.camera, getGroupNamesForEvent(event)), routed, "severity");
+    if (!mode && routed.length === 0 && skippedGroups.length > 0) {
+        console.log(
+            `🔕 Review ${event.id} from ${event.camera} is a ${event.severity}, which no group is alerted for`
+        );
+        filtered("severity", `no group is alerted for ${event.severity}s`, skippedGroups);
+        return;
+    }
+
+    const scheduled = getArmedGroups(event);
+    skip(routed, scheduled, mode ? "mode" : "schedule");
+    if (scheduled.length === 0 && mode) {
+        console.log(
+            `🛡️ Event ${event.id} "${event.label}" on ${event.camera} not armed in mode ${mode.name} (no groups to alert)`
+        );
+        filtered("mode", `not armed in mode "${mode.name}"`, skippedGroups);
+        return;
+    }
+    if (scheduled.length === 0) {
+        console.log(
+            `⏰ Event ${event.id} outside schedule for ${event.camera} (no groups to alert)`
+        );
+        filtered("schedule", "outside every group's schedule", skippedGroups);
+        return;
+    }
+    const recipients = getRecipientGroups(event);
+    skip(scheduled, recipients, "snoozed");
+    if (recipients.length === 0) {
+        console.log(
+            `💤 Event ${event.id} from ${event.camera} snoozed by every group`
+        );
+        filtered("snoozed", "snoozed by every group", skippedGroups);
+        return;
+    }
+    const groups = applyCooldown(event, recipients);
+    skip(recipients, groups, "cooldown");
+    if (groups.length === 0) {
+        console.log(
+            `🧊 Event ${event.id} from ${event.camera} in cooldown for every group`
+        );
+        filtered("cooldown", "in cooldown for every group", skippedGroups);
+        return;
+    }
+
+    recordDecision(event, {
+        outcome: "alerted",
+        groups: groups.map((group) => group.name),
+        skipped_groups: skippedGroups,
+    });
+    processEvent(event, groups);
 }
 
+/**
+ * Process a single Frigate event
+ * @param {Object} event
+ * @param {Array<{name: string, type: string, settings: Object}>} groups - groups to alert
+ */
+function processEvent(event, groups) {
+    eventsAlerted.inc({ camera: event.camera });
+    triggerWebhooks(event, groups.map((group) => group.name));
+    startEscalation(event, groups.map((group) => group.name));
+    queueAlert(event, groups, sendEventAlert);
+}
+
+/**
+ * Queue an event's alert for groups. Each group is sent the best media its
+ * notifier accepts (clips wait for the event to end, see video.end_wait_seconds).
+ * @param {Object} event
+ * @param {Array<{name: string, type: string, settings: Object}>} groups
+ */
+function sendEventAlert(event, groups) {
+    console.log(
+        `📤 Queueing alert for ${groups.length} group(s): ${groups.map((g) => g.name).join(", ")}`
+    );
+    for (const group of groups) enqueue("event", group.name, [event.id], { event });
+}
+
+registerJobType("event", ({ payload }, group) =>
+    notifiers.sendEventAlertToGroup(payload.event, formatAlertMessage(payload.event, group.name), group)
+);
+
+// An alert sent on by an escalation policy, marked with how long it went unacknowledged
+registerJobType("escalation", ({ payload }, group) => {
+    const { language } = getMessageConfig(payload.event.camera, group.name);
+    const message = `${formatEscalationNote(payload.minutes, language)}\n${formatAlertMessage(payload.event, group.name)}`;
+    return notifiers.sendEventAlertToGroup(payload.event, message, group);
+});
+
 // Print startup configuration summary
 function printConfigSummary() {
-    const { FRIGATE_API_URL, WEBHOOK_URL } = require("./config");
+    const { BOT_CONFIG, getWebhooks, getEscalations } = require("./config");
 
     console.log("\n📋 Configuration Summary:");
-    console.log(`   Frigate API: ${FRIGATE_API_URL}`);
-    console.log(`   Poll Interval: ${POLL_INTERVAL / 1000}s`);
-    console.log(`   Webhook: ${WEBHOOK_URL || "Not configured"}`);
+    for (const instance of FRIGATE_INSTANCES) {
+        const indent = instance.name ? "      " : "   ";
+        const auth = instance.auth.username
+            ? `login as ${instance.auth.username}`
+            : instance.auth.token
+              ? "bearer token"
+              : null;
+        if (instance.name) console.log(`   Frigate Instance: ${instance.name}`);
+        console.log(`${indent}Frigate API: ${instance.url}${auth ? ` (${auth})` : ""}`);
+        const reviews = instance.ingest_source === "review";
+        if (instance.ingest_mode === "mqtt") {
+            console.log(
+                `${indent}Ingest Mode: MQTT (${instance.mqtt.url}, topic ${instance.mqtt.topic_prefix}/${reviews ? "reviews" : "events"})`
+            );
+        } else {
+            console.log(`${indent}Ingest Mode: Polling every ${POLL_INTERVAL / 1000}s`);
+        }
+        if (reviews) console.log(`${indent}Alert Source: Review items (one alert per segment)`);
+    }
+    const webhooks = getWebhooks();
+    console.log(`   Webhooks:${webhooks.length ? "" : " Not configured"}`);
+    for (const webhook of webhooks) {
+        console.log(`      🔗 ${describeWebhook(webhook)}`);
+    }
+    console.log(`   Bot Commands: ${BOT_CONFIG.enabled ? "Enabled" : "Disabled"}`);
+    console.log(`   System Monitor: ${describeMonitor() ?? "Disabled"}`);
+    const escalations = getEscalations();
+    console.log(`   Escalations:${escalations.length ? "" : " Not configured"}`);
+    for (const policy of escalations) {
+        const filters = ["cameras", "labels", "zones", "groups"]
+            .filter((key) => policy[key]?.length)
+            .map((key) => `${key}: ${policy[key].join(", ")}`);
+        const repeat = policy.repeat ? `, ${policy.repeat} more time(s)` : "";
+        console.log(
+            `      ⏫ ${policy.name}: ${policy.chain.join(" → ")} every ${policy.after_ms / 60000} min unacknowledged${repeat}${filters.length ? ` (${filters.join("; ")})` : ""}`
+        );
+    }
 
-    const defaultSchedule = config.default_schedule || {
-        start_time: "00:00",
-        end_time: "23:59",
-    };
-    console.log(
-        `   Default Schedule: ${defaultSchedule.start_time} - ${defaultSchedule.end_time}`
-    );
+    console.log(`   Default Schedule: ${describeSchedule(getDefaultSchedule())}`);
+    if (config.location) {
+        const today = getDefaultSchedule();
+        console.log(
+            `   Location: ${config.location.latitude}, ${config.location.longitude} (today: sunrise ${resolveTime("sunrise", today) || "n/a"}, sunset ${resolveTime("sunset", today) || "n/a"})`
+        );
+    }
 
     console.log("\n👥 Groups:");
     for (const [name, group] of Object.entries(config.groups)) {
         const status = group.enabled !== false ? "✅" : "❌";
         const alwaysSend = group.always_send ? " [ALWAYS SEND]" : "";
+        const digest = describeDigest(name);
+        const mode = digest ? ` [${group.mode === "digest" ? `${digest} only` : `live + ${digest}`}]` : "";
+        const severities = group.severities ? ` [${group.severities.join(" + ")}]` : "";
         const schedule = group.schedule
-            ? ` (${group.schedule.start_time} - ${group.schedule.end_time})`
+            ? ` (${describeSchedule(getGroupSchedule(name))})`
             : " (uses default schedule)";
         console.log(
-            `   ${status} ${name}: ${group.chat_id}${alwaysSend}${schedule}`
+            `   ${status} ${name}: ${notifiers.describeGroup(group)}${alwaysSend}${mode}${severities}${schedule}`
         );
         if (group.description) {
             console.log(`      ${group.description}`);
         }
     }
 
+    if (config.modes && Object.keys(config.modes).length > 0) {
+        console.log("\n🛡️ Arming Modes:");
+        for (const [name, mode] of Object.entries(config.modes)) {
+            const isDefault = name === config.default_mode ? " [DEFAULT]" : "";
+            console.log(`   ${name}${isDefault}${mode.description ? ` - ${mode.description}` : ""}`);
+            for (const rule of mode.rules || []) {
+                const filters = ["cameras", "labels", "zones"]
+                    .filter((key) => rule[key]?.length)
+                    .map((key) => `${key}: ${rule[key].join(", ")}`);
+                console.log(`      → ${rule.groups.join(", ")}${filters.length ? ` (${filters.join("; ")})` : " (everything)"}`);
+            }
+        }
+    }
+
     console.log("\n📹 Camera Configurations:");
     console.log(
         `   Default Groups: ${(config.default_groups || ["all"]).join(", ")}`
@@ -144,9 +527,22 @@ function printConfigSummary() {
             const alwaysSend = schedule.always_send ? " [ALWAYS SEND]" : "";
             console.log(`   📷 ${name}:`);
             console.log(
-                `      Camera Schedule: ${schedule.start_time} - ${schedule.end_time}${alwaysSend}`
+                `      Camera Schedule: ${describeSchedule(schedule)}${alwaysSend}`
             );
             console.log(`      Labels: ${labels}`);
+            if (cam.zones) {
+                const rules = [
+                    cam.zones.require && `require ${cam.zones.require.join("/")}`,
+                    cam.zones.exclude && `exclude ${cam.zones.exclude.join("/")}`,
+                    ...Object.entries(cam.zones.labels || {}).map(
+                        ([label, zones]) => `${label} only in ${zones.join("/")}`
+                    ),
+                    ...Object.entries(cam.zones.groups || {}).map(
+                        ([zone, groups]) => `${zone} → ${groups.join(", ")}`
+                    ),
+                ].filter(Boolean);
+                console.log(`      Zones: ${rules.join("; ")}`);
+            }
             console.log(`      Groups:`);
 
             for (const groupName of groupNames) {
@@ -160,7 +556,7 @@ function printConfigSummary() {
                 const hasOverride = cam.group_schedules?.[groupName];
                 const overrideIndicator = hasOverride ? " *" : "";
                 console.log(
-                    `         - ${groupName}: ${effectiveSchedule.start_time} - ${effectiveSchedule.end_time}${groupAlwaysSend}${overrideIndicator}`
+                    `         - ${groupName}: ${describeSchedule(effectiveSchedule)}${groupAlwaysSend}${overrideIndicator}`
                 );
             }
         }
@@ -171,7 +567,94 @@ function printConfigSummary() {
     console.log("");
 }
 
+/**
+ * Print the resolved routing table: for each camera, which groups get alerts,
+ * through which notifier and when
+ */
+function printRoutingTable() {
+    console.log("🧭 Routing:");
+
+    const cameras = [...Object.keys(config.cameras || {}), undefined];
+    for (const camera of cameras) {
+        const labels = config.cameras?.[camera]?.labels;
+        console.log(
+            `   📷 ${camera ?? "(other cameras)"} [${labels ? labels.join(", ") : "all labels"}]`
+        );
+
+        for (const groupName of getGroupNamesForCamera(camera)) {
+            const group = config.groups[groupName];
+            if (group.enabled === false) {
+                console.log(`      ✖ ${groupName}: disabled`);
+                continue;
+            }
+            const type = notifiers.getNotifier(group).type;
+            const digest = describeDigest(groupName);
+            if (group.mode === "digest") {
+                console.log(`      → ${groupName} (${type}): ${digest} only`);
+                continue;
+            }
+            const schedule = getScheduleForCameraAndGroup(camera, groupName);
+            const when = schedule.always_send ? "always" : describeSchedule(schedule);
+            console.log(`      → ${groupName} (${type}): ${when}${digest ? ` + ${digest}` : ""}`);
+        }
+
+        for (const [zone, groupNames] of Object.entries(config.cameras?.[camera]?.zones?.groups || {})) {
+            console.log(`      📍 zone ${zone} → ${groupNames.join(", ")} (instead of the groups above)`);
+        }
+    }
+    console.log("");
+}
+
+/**
+ * Reload the config file, keeping the current config if the new one is invalid
+ * @param {string} reason - what triggered the reload, for logging
+ */
+function reload(reason) {
+    console.log(`🔄 Reloading configuration (${reason})...`);
+    reloadConfig((next) => notifiers.validateGroups(next.groups));
+}
+
 // Start the service
 printConfigSummary();
-setInterval(fetchFrigateEvents, POLL_INTERVAL);
+if (RECORD_PATH) {
+    console.log(`🎙️ Recording events to ${RECORD_PATH}, no alerts are sent (replay with --simulate --file)`);
+} else {
+    if (config.modes) console.log(`🛡️ Arming mode: ${getActiveMode()?.name ?? "none, schedules apply"}`);
+    startHttpServer();
+    startBot();
+    startDigests();
+    startOutbox();
+    startEscalations();
+    startMonitor();
+}
+for (const instance of FRIGATE_INSTANCES) {
+    loadDetectResolutions(instance)
+        .then(() => catchUpMissedEvents(instance))
+        .then(() => {
+            if (instance.ingest_mode === "mqtt") {
+                const client = startMqttListener(instance, (event) => handleMqttEvent(instance, event));
+                setInterval(() => {
+                    if (client.connected) touchLastTimestamp(instance.name);
+                }, 60 * 1000);
+            } else {
+                setInterval(() => fetchFrigateEvents(instance), POLL_INTERVAL);
+            }
+        });
+}
+
+// Reload on SIGHUP or when the config file changes. Polling the file's mtime
+// survives editors that replace the file instead of writing to it.
+process.on("SIGHUP", () => reload("SIGHUP"));
+fs.watchFile(CONFIG_PATH, { interval: 2000 }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs && current.mtimeMs !== 0) {
+        reload("config file changed");
+    }
+});
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+        saveState();
+        process.exit(0);
+    });
+}
 console.log("🚀 Frigate event listener started...\n");
@@ -0,0 +1,49 @@
+// Several Frigate instances (sites) can feed one service. Events from a named
+// instance get "<site>/" in front of their camera name and ID, so cameras are
+// configured as "site/camera" and IDs stay unique across sites. A single
+// unnamed instance (frigate_api_url as a plain URL) keeps Frigate's own names.
+
+/**
+ * Prefix a camera name or event ID with its instance's name
+ * @param {string|null} instanceName - null for an unnamed instance
+ * @param {string} name
+ * @returns {string} e.g. "cabin/front_door"
+ */
+function qualifyName(instanceName, name) {
+    return instanceName ? `${instanceName}/${name}` : name;
+}
+
+/**
+ * Split a qualified camera name or event ID into its instance and Frigate's own name
+ * @param {string} value - e.g. "cabin/front_door"
+ * @returns {{instance: string|null, name: string}} instance is null without a prefix
+ */
+function splitName(value) {
+    const index = String(value).indexOf("/");
+    return index === -1
+        ? { instance: null, name: value }
+        : { instance: value.slice(0, index), name: value.slice(index + 1) };
+}
+
+/**
+ * Qualify an event from Frigate with its instance's name: its ID and camera are
+ * prefixed and it gets an "instance" field
+ * @param {string|null} instanceName
+ * @param {Object} event - as returned by Frigate
+ * @returns {Object} a copy, or the event itself for an unnamed instance
+ */
+function qualifyEvent(instanceName, event) {
+    if (!instanceName) return event;
+    return {
+        ...event,
+        id: qualifyName(instanceName, event.id),
+        camera: qualifyName(instanceName, event.camera),
+        instance: instanceName,
+    };
+}
+
+module.exports = {
+    qualifyName,
+    splitName,
+    qualifyEvent,
+};
@@ -0,0 +1,231 @@
+// Prometheus metrics, rendered in the text exposition format for /metrics.
+// Counters and histograms keep one series per combination of label values.
+
+const PREFIX = "frigate_alerts_";
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const registry = [];
+
+/**
+ * Build the key identifying one series of a metric
+ * @param {Object} labels
+ * @returns {string}
+ */
+function seriesKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Format labels for the exposition format, e.g. {camera="front_door"}
+ * @param {Object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return "";
+    const escape = (value) =>
+        String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(",")}}`;
+}
+
+/**
+ * Create and register a counter
+ * @param {string} name - without the frigate_alerts_ prefix
+ * @param {string} help
+ * @returns {{inc: Function}}
+ */
+function counter(name, help) {
+    const series = new Map();
+    registry.push({
+        name: PREFIX + name,
+        help,
+        type: "counter",
+        render: () =>
+            [...series.values()].map(
+                ({ labels, value }) => `${PREFIX}${name}${formatLabels(labels)} ${value}`
+            ),
+    });
+
+    return {
+        /**
+         * @param {Object} [labels]
+         * @param {number} [amount]
+         */
+        inc(labels = {}, amount = 1) {
+            const key = seriesKey(labels);
+            const entry = series.get(key) || { labels, value: 0 };
+            entry.value += amount;
+            series.set(key, entry);
+        },
+    };
+}
+
+/**
+ * Create and register a histogram
+ * @param {string} name - without the frigate_alerts_ prefix
+ * @param {string} help
+ * @param {Array<number>} [buckets] - upper bounds, ascending
+ * @returns {{observe: Function}}
+ */
+function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    registry.push({
+        name: PREFIX + name,
+        help,
+        type: "histogram",
+        render: () =>
+            [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map(
+                    (bound, i) =>
+                        `${PREFIX}${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`
+                ),
+                `${PREFIX}${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+                `${PREFIX}${name}_sum${formatLabels(labels)} ${sum}`,
+                `${PREFIX}${name}_count${formatLabels(labels)} ${count}`,
+            ]),
+    });
+
+    return {
+        /**
+         * @param {Object} labels
+         * @param {number} value
+         */
+        observe(labels, value) {
+            const key = seriesKey(labels);
+            const entry = series.get(key) || {
+                labels,
+                counts: buckets.map(() => 0),
+                sum: 0,
+                count: 0,
+            };
+            buckets.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+            series.set(key, entry);
+        },
+    };
+}
+
+/**
+ * Register a gauge whose values are read when metrics are rendered
+ * @param {string} name - without the frigate_alerts_ prefix
+ * @param {string} help
+ * @param {Function} collect - () => Array<{labels: Object, value: number}>
+ */
+function gauge(name, help, collect) {
+    registry.push({
+        name: PREFIX + name,
+        help,
+        type: "gauge",
+        render: () =>
+            collect().map(({ labels, value }) => `${PREFIX}${name}${formatLabels(labels)} ${value}`),
+    });
+}
+
+/**
+ * Render every registered metric in the Prometheus text exposition format
+ * @returns {string}
+ */
+function renderMetrics() {
+    return (
+        registry
+            .flatMap((metric) => [
+                `# HELP ${metric.name} ${metric.help}`,
+                `# TYPE ${metric.name} ${metric.type}`,
+                ...metric.render(),
+            ])
+            .join("\n") + "\n"
+    );
+}
+
+/**
+ * Time an async call, recording its duration in seconds on a histogram
+ * @param {{observe: Function}} metric
+ * @param {Object} labels
+ * @param {Function} fn - async function to time
+ * @returns {Promise<*>} fn's result
+ */
+async function timed(metric, labels, fn) {
+    const start = process.hrtime.bigint();
+    try {
+        return await fn();
+    } finally {
+        metric.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+}
+
+const eventsSeen = counter("events_seen_total", "Frigate events received, once per event");
+const eventsFiltered = counter(
+    "events_filtered_total",
+    "Events that did not produce an alert, by reason"
+);
+const eventsAlerted = counter("events_alerted_total", "Events that produced an alert");
+const mediaSent = counter(
+    "media_sent_total",
+    "Alerts delivered per group, by the media they ended up with (video, snapshot, thumbnail or the text fallback)"
+);
+const downloadRetries = counter(
+    "download_retries_total",
+    "Media download attempts from Frigate that failed and were retried"
+);
+const downloadFailures = counter(
+    "download_failures_total",
+    "Media downloads from Frigate that failed after every retry"
+);
+const telegramDuration = histogram(
+    "telegram_request_duration_seconds",
+    "Telegram Bot API send latency, per attempt"
+);
+const telegramFailures = counter(
+    "telegram_request_failures_total",
+    "Telegram Bot API send attempts that failed"
+);
+
+const webhookDeliveries = counter(
+    "webhook_deliveries_total",
+    "Webhook deliveries, by webhook and result (success or failure, after retries)"
+);
+const webhookRetries = counter(
+    "webhook_retries_total",
+    "Webhook attempts that failed and were retried"
+);
+const webhookDuration = histogram(
+    "webhook_request_duration_seconds",
+    "Webhook request latency, per attempt"
+);
+
+const rateLimited = counter(
+    "rate_limited_total",
+    "Sends refused with HTTP 429 (rate limited), retried after the wait the service asked for"
+);
+const deadLetters = counter(
+    "dead_letters_total",
+    "Queued alerts given up on after queue.ttl_minutes, by group"
+);
+
+gauge("uptime_seconds", "Seconds since the service started", () => [
+    { labels: {}, value: Math.round(process.uptime()) },
+]);
+
+module.exports = {
+    counter,
+    histogram,
+    gauge,
+    renderMetrics,
+    timed,
+    eventsSeen,
+    eventsFiltered,
+    eventsAlerted,
+    mediaSent,
+    downloadRetries,
+    downloadFailures,
+    telegramDuration,
+    telegramFailures,
+    webhookDeliveries,
+    webhookRetries,
+    webhookDuration,
+    rateLimited,
+    deadLetters,
+};
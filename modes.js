@@ -0,0 +1,161 @@
+const {
+    config,
+    getGroupsForCamera,
+    getGroupsToAlert,
+    getGroupSeverities,
+    getScheduleForCameraAndGroup,
+    matchesEvent,
+} = require("./config");
+const { getSection, scheduleSave } = require("./state");
+const { gauge } = require("./metrics");
+const { addRoute, readBody } = require("./server");
+
+// Arming modes (config.modes), e.g. "home" or "away". While a mode is active its
+// rules alone decide which cameras and labels alert which groups; schedules and
+// camera group lists are ignored. Without an active mode, schedules apply as usual.
+// The current mode is kept in the state file, so it survives restarts.
+
+/**
+ * Get the active mode's name: the one last switched to, or default_mode on a
+ * fresh state
+ * @returns {string|null} null when schedules apply
+ */
+function getModeName() {
+    const current = getSection("mode");
+    return current.name !== undefined ? current.name : config.default_mode ?? null;
+}
+
+/**
+ * Get a configured mode by name
+ * @param {string|null} name
+ * @returns {{name: string, description?: string, rules: Array<Object>}|null} null for
+ *   no name or a mode that isn't configured
+ */
+function getMode(name) {
+    const mode = name !== null ? config.modes?.[name] : null;
+    return mode ? { name, rules: [], ...mode } : null;
+}
+
+/**
+ * Get the active mode
+ * @returns {{name: string, description?: string, rules: Array<Object>}|null} null when
+ *   schedules apply, including when the saved mode was removed from the config
+ */
+function getActiveMode() {
+    return getMode(getModeName());
+}
+
+/**
+ * Switch mode
+ * @param {string|null} name - a mode from config.modes, or null to go back to schedules
+ * @param {string} changedBy - who switched, for the log
+ * @returns {Object} the new mode, see describeMode
+ * @throws if the mode isn't configured
+ */
+function setMode(name, changedBy) {
+    if (name !== null && !config.modes?.[name]) {
+        throw new Error(`Unknown mode "${name}"`);
+    }
+
+    const current = getSection("mode");
+    current.name = name;
+    current.since = Date.now();
+    current.changed_by = changedBy;
+    scheduleSave();
+    console.log(`🛡️ Mode set to ${name ?? "schedules"} by ${changedBy}`);
+    return describeMode();
+}
+
+/**
+ * Describe the current mode for the HTTP endpoint
+ * @returns {{name: string|null, since: string|null, changed_by: string|null, modes: Array<string>}}
+ */
+function describeMode() {
+    const current = getSection("mode");
+    return {
+        name: getActiveMode()?.name ?? null,
+        since: current.since ? new Date(current.since).toISOString() : null,
+        changed_by: current.changed_by ?? null,
+        modes: Object.keys(config.modes || {}),
+    };
+}
+
+/**
+ * Get groups that should receive an alert for an event: the active mode's
+ * groups for it, or without a mode the groups whose schedules allow it
+ * @param {Object} event
+ * @param {Date} [at] - time to check schedules at, defaults to now
+ * @param {Object|null} [mode] - mode to apply (see getMode), defaults to the active one
+ * @returns {Array<{name: string, type: string, settings: Object, schedule: Object}>}
+ */
+function getArmedGroups(event, at = new Date(), mode = getActiveMode()) {
+    if (!mode) return getGroupsToAlert(event, at);
+
+    const groupNames = mode.rules.filter((rule) => matchesEvent(rule, event)).flatMap((rule) => rule.groups);
+    return getGroupsForCamera(event.camera, [...new Set(groupNames)])
+        .filter((group) => !event.severity || getGroupSeverities(group.name).includes(event.severity))
+        .map((group) => ({
+            ...group,
+            schedule: getScheduleForCameraAndGroup(event.camera, group.name),
+        }));
+}
+
+/**
+ * Check if the active mode alerts a group for a camera, for any label
+ * @param {string} cameraName
+ * @param {string} groupName
+ * @returns {boolean|null} null without an active mode
+ */
+function isArmed(cameraName, groupName) {
+    const mode = getActiveMode();
+    if (!mode) return null;
+    return mode.rules.some(
+        (rule) =>
+            rule.groups.includes(groupName) &&
+            matchesEvent({ cameras: rule.cameras }, { camera: cameraName, labels: [], zones: [] })
+    );
+}
+
+gauge("mode", "1 for the active arming mode (schedules when none)", () => [
+    { labels: { mode: getActiveMode()?.name ?? "schedules" }, value: 1 },
+]);
+
+addRoute("GET", "/mode", () => ({ body: describeMode() }));
+
+addRoute(
+    "PUT",
+    "/mode",
+    async (req, url) => {
+        let name = url.searchParams.get("mode");
+        if (name === null) {
+            try {
+                name = JSON.parse((await readBody(req)) || "{}").mode;
+            } catch (error) {
+                return { status: 400, body: { error: `Invalid JSON body: ${error.message}` } };
+            }
+        }
+        // A malformed request mustn't fall back to schedules: that takes "schedules" itself
+        if (typeof name !== "string" || name === "") {
+            return {
+                status: 400,
+                body: { error: 'Missing mode: give a mode name, or "schedules"', modes: Object.keys(config.modes || {}) },
+            };
+        }
+        if (name === "schedules") name = null;
+
+        try {
+            return { body: setMode(name, `HTTP (${req.socket.remoteAddress})`) };
+        } catch (error) {
+            return { status: 400, body: { error: error.message, modes: Object.keys(config.modes || {}) } };
+        }
+    },
+    { auth: true }
+);
+
+module.exports = {
+    getMode,
+    getActiveMode,
+    setMode,
+    getArmedGroups,
+    isArmed,
+};
@@ -0,0 +1,217 @@
+const { FRIGATE_INSTANCES, getMonitorConfig } = require("./config");
+const { fetchVersion, fetchStats } = require("./frigate");
+const { qualifyName } = require("./instances");
+const { getSection, scheduleSave } = require("./state");
+const { enqueue } = require("./outbox");
+const { escapeHtml } = require("./telegram");
+const { gauge } = require("./metrics");
+
+const KINDS = ["unreachable", "camera_offline", "slow_detector", "storage"];
+
+// Frigate system monitor (monitor): every interval_seconds each instance's
+// /api/version and /api/stats are read and four kinds of problem are checked:
+// Frigate unreachable, a camera at 0 fps, a detector slower than
+// max_inference_ms and recording storage fuller than max_storage_percent.
+// A problem is reported to the monitor's groups once it has lasted
+// debounce_seconds, and its recovery once that has lasted as long, so a
+// flapping camera doesn't spam. Reported problems are kept in the state file,
+// so a restart neither repeats them nor forgets to report their recovery.
+
+gauge("monitor_problems", "Frigate problems currently reported by the system monitor, by kind", () =>
+    KINDS.map((kind) => ({
+        labels: { kind },
+        value: Object.values(getSection("monitor")).filter((c) => c.kind === kind && c.reported).length,
+    }))
+);
+
+/**
+ * Describe an instance for monitor messages
+ * @param {Object} instance - see config.FRIGATE_INSTANCES
+ * @returns {string} e.g. " (cabin)", empty for an unnamed instance
+ */
+function describeSite(instance) {
+    return instance.name ? ` (${escapeHtml(instance.name)})` : "";
+}
+
+/**
+ * Send a monitor message to the monitor's groups
+ * @param {string} message - Telegram HTML
+ */
+function notify(message) {
+    const { groups } = getMonitorConfig();
+    console.log(`🩺 ${message.replace(/<[^>]+>/g, "")}`);
+    for (const groupName of groups) enqueue("text", groupName, [], { message });
+}
+
+/**
+ * Record one check of a condition. A change from what was last reported only
+ * counts once it has lasted debounce_ms; then the problem or recovery message
+ * is sent.
+ * @param {Object} instance
+ * @param {string} kind - one of KINDS
+ * @param {string} name - what the condition is about, e.g. a camera
+ * @param {boolean} failing
+ * @param {Function} describe - (failing) => message for the problem or its recovery
+ * @returns {string} the condition's key
+ */
+function observe(instance, kind, name, failing, describe) {
+    const conditions = getSection("monitor");
+    const key = `${kind}:${name}`;
+    const condition = (conditions[key] ??= {
+        kind,
+        instance: instance.name || "",
+        reported: false,
+        changed_since: null,
+    });
+
+    if (failing === condition.reported) {
+        if (!condition.reported) delete conditions[key];
+        else condition.changed_since = null;
+        return key;
+    }
+
+    const now = Date.now();
+    condition.changed_since ??= now;
+    if (now - condition.changed_since >= getMonitorConfig().debounce_ms) {
+        condition.reported = failing;
+        condition.changed_since = null;
+        if (!failing) delete conditions[key];
+        scheduleSave();
+        notify(describe(failing));
+    }
+    return key;
+}
+
+/**
+ * Check the stats of a reachable instance
+ * @param {Object} instance
+ * @param {Object} stats - from Frigate's /stats
+ * @returns {Set<string>} keys of the conditions checked
+ */
+function checkStats(instance, stats) {
+    const { max_inference_ms, max_storage_percent, ignore_cameras } = getMonitorConfig();
+    const site = describeSite(instance);
+    const checked = new Set();
+
+    for (const [cameraName, camera] of Object.entries(stats.cameras || {})) {
+        const qualified = qualifyName(instance.name, cameraName);
+        const fps = camera.camera_fps;
+        if (typeof fps !== "number" || ignore_cameras.includes(qualified) || ignore_cameras.includes(cameraName)) {
+            continue;
+        }
+        checked.add(
+            observe(instance, "camera_offline", qualified, fps === 0, (failing) =>
+                failing
+                    ? `📴 <b>Camera offline</b>: ${escapeHtml(qualified)} (0 fps)`
+                    : `📷 <b>Camera back online</b>: ${escapeHtml(qualified)} (${fps} fps)`
+            )
+        );
+    }
+
+    for (const [detectorName, detector] of Object.entries(stats.detectors || {})) {
+        const speed = detector.inference_speed;
+        if (typeof speed !== "number") continue;
+        checked.add(
+            observe(instance, "slow_detector", qualifyName(instance.name, detectorName), speed > max_inference_ms, (failing) =>
+                failing
+                    ? `🐢 <b>Detector slow</b>${site}: ${escapeHtml(detectorName)} takes ${speed} ms per inference (limit ${max_inference_ms} ms)`
+                    : `⚡ <b>Detector back to normal</b>${site}: ${escapeHtml(detectorName)} takes ${speed} ms per inference`
+            )
+        );
+    }
+
+    // Sizes are in MB; the recordings mount is e.g. "/media/frigate/recordings"
+    for (const [path, storage] of Object.entries(stats.service?.storage || {})) {
+        if (!path.endsWith("/recordings") || !storage.total) continue;
+        const percent = Math.round((storage.used / storage.total) * 100);
+        const used = `${(storage.used / 1024).toFixed(1)} of ${(storage.total / 1024).toFixed(1)} GB used`;
+        checked.add(
+            observe(instance, "storage", qualifyName(instance.name, path), percent > max_storage_percent, (failing) =>
+                failing
+                    ? `💾 <b>Recording storage ${percent}% full</b>${site}: ${used} (limit ${max_storage_percent}%)`
+                    : `💾 <b>Recording storage back to ${percent}%</b>${site}: ${used}`
+            )
+        );
+    }
+    return checked;
+}
+
+/**
+ * Check one Frigate instance
+ * @param {Object} instance - see config.FRIGATE_INSTANCES
+ */
+async function checkInstance(instance) {
+    const site = describeSite(instance);
+    let version;
+    try {
+        version = await fetchVersion(instance);
+    } catch (error) {
+        const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+        observe(instance, "unreachable", instance.name || "frigate", true, () =>
+            `🔌 <b>Frigate unreachable</b>${site}: ${escapeHtml(reason)}`
+        );
+        return;
+    }
+    observe(instance, "unreachable", instance.name || "frigate", false, () =>
+        `✅ <b>Frigate reachable again</b>${site} (version ${escapeHtml(version)})`
+    );
+
+    let stats;
+    try {
+        stats = await fetchStats(instance);
+    } catch (error) {
+        console.error(`❌ Failed to fetch Frigate stats${site}:`, error.message);
+        return;
+    }
+    const checked = checkStats(instance, stats);
+
+    // Cameras and detectors no longer in Frigate's stats can't recover
+    const conditions = getSection("monitor");
+    for (const [key, condition] of Object.entries(conditions)) {
+        if (condition.instance === (instance.name || "") && condition.kind !== "unreachable" && !checked.has(key)) {
+            console.log(`🩺 ${key} is no longer in Frigate's stats, forgetting it`);
+            delete conditions[key];
+            scheduleSave();
+        }
+    }
+}
+
+/**
+ * Check every Frigate instance, then schedule the next check. Settings are read
+ * each time, so the monitor follows config reloads.
+ */
+async function runChecks() {
+    const { enabled, interval_ms } = getMonitorConfig();
+    if (enabled) {
+        await Promise.all(
+            FRIGATE_INSTANCES.map((instance) =>
+                checkInstance(instance).catch((error) => {
+                    console.error(`❌ Frigate monitor check failed${describeSite(instance)}:`, error.message);
+                })
+            )
+        );
+    }
+    setTimeout(runChecks, interval_ms);
+}
+
+/**
+ * Describe the monitor for the startup summary
+ * @returns {string|null} null when it is off
+ */
+function describeMonitor() {
+    const monitor = getMonitorConfig();
+    if (!monitor.enabled) return null;
+    return `every ${monitor.interval_ms / 1000}s → ${monitor.groups.join(", ")} (inference > ${monitor.max_inference_ms} ms, storage > ${monitor.max_storage_percent}%, ${monitor.debounce_ms / 1000}s debounce)`;
+}
+
+/**
+ * Start monitoring Frigate's system stats
+ */
+function startMonitor() {
+    runChecks();
+}
+
+module.exports = {
+    describeMonitor,
+    startMonitor,
+};
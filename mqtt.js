@@ -0,0 +1,83 @@
+const mqtt = require("mqtt");
+const { qualifyEvent } = require("./instances");
+const { fromReviewSegment } = require("./reviews");
+const { recordSuccess, recordFailure, instanceComponent } = require("./health");
+
+/**
+ * Parse a message from the Frigate events or reviews topic
+ * @param {Buffer} payload
+ * @returns {{type: string, before: Object, after: Object}|null}
+ */
+function parseEventMessage(payload) {
+    try {
+        const message = JSON.parse(payload.toString());
+        if (!message?.after?.id) return null;
+        return message;
+    } catch (e) {
+        console.error("❌ Invalid MQTT event payload:", e.message);
+        return null;
+    }
+}
+
+/**
+ * Subscribe to Frigate's events topic, or its reviews topic with ingest_source
+ * "review", and pass events to the handler.
+ * Frigate publishes "new", "update" and "end" messages for every tracked object
+ * and review segment; every message where the object is not a false positive is
+ * forwarded, so the handler is responsible for handling each ID only once.
+ * @param {Object} instance - the Frigate instance, see config.getFrigateInstance
+ * @param {Function} onEvent - called with the Frigate event object (or review
+ *   segment, see reviews.fromReviewSegment), qualified with the instance's name
+ * @returns {import("mqtt").MqttClient}
+ */
+function startMqttListener(instance, onEvent) {
+    const settings = instance.mqtt;
+    const component = instanceComponent("mqtt", instance.name);
+    const reviews = instance.ingest_source === "review";
+    const topic = `${settings.topic_prefix}/${reviews ? "reviews" : "events"}`;
+    const client = mqtt.connect(settings.url, {
+        username: settings.username,
+        password: settings.password,
+        clientId: settings.client_id,
+    });
+
+    client.on("connect", () => {
+        console.log(`✅ Connected to MQTT broker ${settings.url}`);
+        recordSuccess(component);
+        client.subscribe(topic, (err) => {
+            if (err) {
+                console.error(`❌ Failed to subscribe to ${topic}:`, err.message);
+            } else {
+                console.log(`📡 Subscribed to ${topic}`);
+            }
+        });
+    });
+
+    client.on("reconnect", () => {
+        console.log(`⏳ Reconnecting to MQTT broker ${settings.url}...`);
+        recordFailure(component, "disconnected");
+    });
+
+    client.on("error", (err) => {
+        console.error(`❌ MQTT error (${settings.url}):`, err.message);
+        recordFailure(component, err);
+    });
+
+    client.on("message", (_topic, payload) => {
+        const message = parseEventMessage(payload);
+        if (!message) return;
+
+        if (reviews) {
+            onEvent(fromReviewSegment(instance.name, message.after));
+            return;
+        }
+        if (message.after.false_positive) return;
+        onEvent(qualifyEvent(instance.name, message.after));
+    });
+
+    return client;
+}
+
+module.exports = {
+    startMqttListener,
+};
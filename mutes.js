@@ -0,0 +1,149 @@
+const { getSection, scheduleSave } = require("./state");
+
+const ALL_CAMERAS = "all";
+
+/**
+ * Get active mutes (camera name or "all" -> muted until, ms), dropping expired ones
+ * @returns {Object<string, number>}
+ */
+function getActiveMutes() {
+    const mutes = getSection("mutes");
+    const now = Date.now();
+    let changed = false;
+
+    for (const [camera, until] of Object.entries(mutes)) {
+        if (until <= now) {
+            delete mutes[camera];
+            changed = true;
+        }
+    }
+
+    if (changed) scheduleSave();
+    return mutes;
+}
+
+/**
+ * Mute alerts from a camera (or "all" cameras) for a duration
+ * @param {string} camera
+ * @param {number} durationMs
+ * @returns {number} time the mute ends (ms)
+ */
+function muteCamera(camera, durationMs) {
+    const mutes = getSection("mutes");
+    const until = Date.now() + durationMs;
+    mutes[camera] = until;
+    scheduleSave();
+    return until;
+}
+
+/**
+ * Remove the mute and any group snoozes for a camera, or all of them when no camera is given
+ * @param {string} [camera]
+ * @returns {boolean} true if anything was unmuted
+ */
+function unmuteCamera(camera) {
+    const mutes = getActiveMutes();
+    const snoozes = getActiveSnoozes();
+    const allCameras = !camera || camera === ALL_CAMERAS;
+    let removed = 0;
+
+    for (const name of Object.keys(mutes)) {
+        if (allCameras || name === camera) {
+            delete mutes[name];
+            removed++;
+        }
+    }
+    for (const [groupName, cameras] of Object.entries(snoozes)) {
+        for (const name of Object.keys(cameras)) {
+            if (allCameras || name === camera) {
+                delete cameras[name];
+                removed++;
+            }
+        }
+        if (Object.keys(cameras).length === 0) delete snoozes[groupName];
+    }
+
+    if (removed > 0) scheduleSave();
+    return removed > 0;
+}
+
+/**
+ * Get the time a camera's mute ends, if it is muted
+ * @param {string} camera
+ * @returns {number|null} muted until (ms), or null if not muted
+ */
+function getMutedUntil(camera) {
+    const mutes = getActiveMutes();
+    const until = Math.max(mutes[camera] || 0, mutes[ALL_CAMERAS] || 0);
+    return until > 0 ? until : null;
+}
+
+/**
+ * Get active snoozes (group -> camera -> snoozed until, ms), dropping expired ones
+ * @returns {Object<string, Object<string, number>>}
+ */
+function getActiveSnoozes() {
+    const snoozes = getSection("snoozes");
+    const now = Date.now();
+    let changed = false;
+
+    for (const [groupName, cameras] of Object.entries(snoozes)) {
+        for (const [camera, until] of Object.entries(cameras)) {
+            if (until <= now) {
+                delete cameras[camera];
+                changed = true;
+            }
+        }
+        if (Object.keys(cameras).length === 0) delete snoozes[groupName];
+    }
+
+    if (changed) scheduleSave();
+    return snoozes;
+}
+
+/**
+ * Snooze alerts from a camera for a single group
+ * @param {string} camera
+ * @param {string} groupName
+ * @param {number} durationMs
+ * @returns {number} time the snooze ends (ms)
+ */
+function snoozeCamera(camera, groupName, durationMs) {
+    const snoozes = getSection("snoozes");
+    const until = Date.now() + durationMs;
+    snoozes[groupName] = { ...snoozes[groupName], [camera]: until };
+    scheduleSave();
+    return until;
+}
+
+/**
+ * Get the time a camera's snooze ends for a group, if it is snoozed
+ * @param {string} camera
+ * @param {string} groupName
+ * @returns {number|null} snoozed until (ms), or null if not snoozed
+ */
+function getSnoozedUntil(camera, groupName) {
+    return getActiveSnoozes()[groupName]?.[camera] || null;
+}
+
+/**
+ * Remove groups that have snoozed a camera
+ * @param {string} camera
+ * @param {Array<{name: string}>} groups
+ * @returns {Array<{name: string}>}
+ */
+function filterSnoozedGroups(camera, groups) {
+    return groups.filter((group) => !getSnoozedUntil(camera, group.name));
+}
+
+module.exports = {
+    ALL_CAMERAS,
+    getActiveMutes,
+    muteCamera,
+    unmuteCamera,
+    getMutedUntil,
+    getActiveSnoozes,
+    snoozeCamera,
+    getSnoozedUntil,
+    filterSnoozedGroups,
+};
@@ -0,0 +1,65 @@
+const axios = require("axios");
+const FormData = require("form-data");
+const { sendWithRetry, requireSettings, htmlToMarkdown } = require("./utils");
+
+const MAX_CONTENT_LENGTH = 2000; // Discord's message limit
+
+/**
+ * Convert an alert to Discord message content
+ * @param {string} message - HTML alert
+ * @returns {string}
+ */
+function toContent(message) {
+    const content = htmlToMarkdown(message);
+    return content.length > MAX_CONTENT_LENGTH
+        ? content.slice(0, MAX_CONTENT_LENGTH - 1) + "…"
+        : content;
+}
+
+// Discord channels, through a channel webhook. Media is uploaded as a file
+// alongside the message, so Discord embeds images and videos inline.
+module.exports = {
+    type: "discord",
+    maxMediaBytes: 10 * 1024 * 1024, // upload limit for servers without boosts
+    mediaKinds: ["image", "video"],
+
+    validate(settings, path) {
+        return requireSettings(settings, ["webhook_url"], path);
+    },
+
+    describe(settings) {
+        return settings.webhook_url.replace(/\/[^/]+$/, "/…");
+    },
+
+    sendText(group, message) {
+        return sendWithRetry(
+            () =>
+                axios.post(group.settings.webhook_url, {
+                    content: toContent(message),
+                    username: group.settings.username,
+                }),
+            `Discord message to ${group.name}`
+        );
+    },
+
+    sendMedia(group, { buffer, fileName, message }) {
+        return this.sendAlbum(group, [{ buffer, fileName }], message);
+    },
+
+    sendAlbum(group, items, caption) {
+        return sendWithRetry(() => {
+            const form = new FormData();
+            form.append(
+                "payload_json",
+                JSON.stringify({ content: toContent(caption), username: group.settings.username })
+            );
+            items.forEach((item, i) => {
+                form.append(`files[${i}]`, item.buffer, { filename: item.fileName });
+            });
+            return axios.post(group.settings.webhook_url, form, {
+                headers: form.getHeaders(),
+                maxBodyLength: Infinity,
+            });
+        }, `Discord upload to ${group.name}`);
+    },
+};
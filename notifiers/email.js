@@ -0,0 +1,86 @@
+const nodemailer = require("nodemailer");
+const { onConfigReload } = require("../config");
+const { sendWithRetry, requireSettings, splitTitle } = require("./utils");
+
+// One SMTP transport per group, created on first use
+const transports = new Map();
+onConfigReload(() => transports.clear());
+
+/**
+ * Get the SMTP transport for a group
+ * @param {{name: string, settings: Object}} group
+ * @returns {Object} nodemailer transport
+ */
+function getTransport(group) {
+    if (!transports.has(group.name)) {
+        const { smtp } = group.settings;
+        transports.set(
+            group.name,
+            nodemailer.createTransport({
+                host: smtp.host,
+                port: smtp.port || 587,
+                secure: smtp.secure ?? smtp.port === 465,
+                auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+            })
+        );
+    }
+    return transports.get(group.name);
+}
+
+/**
+ * Send an alert email, optionally with attachments
+ * @param {{name: string, settings: Object}} group
+ * @param {string} message - HTML alert
+ * @param {Array<{buffer: Buffer, fileName: string}>} [attachments]
+ * @returns {Promise<boolean>}
+ */
+function sendEmail(group, message, attachments = []) {
+    const { settings } = group;
+    const { title } = splitTitle(message);
+
+    return sendWithRetry(
+        () =>
+            getTransport(group).sendMail({
+                from: settings.from,
+                to: settings.to,
+                subject: settings.subject_prefix ? `${settings.subject_prefix} ${title}` : title,
+                html: String(message).replace(/\n/g, "<br>\n"),
+                attachments: attachments.map((item) => ({
+                    filename: item.fileName,
+                    content: item.buffer,
+                })),
+            }),
+        `Email to ${group.name}`
+    );
+}
+
+// Email over SMTP. Media is attached to the message.
+module.exports = {
+    type: "email",
+    maxMediaBytes: 20 * 1024 * 1024, // common mail server limit, after base64
+    mediaKinds: ["image", "video"],
+
+    validate(settings, path) {
+        const errors = requireSettings(settings, ["smtp", "from", "to"], path);
+        if (settings.smtp && !settings.smtp.host) {
+            errors.push(`${path}.smtp.host: required`);
+        }
+        return errors;
+    },
+
+    describe(settings) {
+        return [].concat(settings.to).join(", ");
+    },
+
+    sendText(group, message) {
+        return sendEmail(group, message);
+    },
+
+    sendMedia(group, { buffer, fileName, message }) {
+        return sendEmail(group, message, [{ buffer, fileName }]);
+    },
+
+    sendAlbum(group, items, caption) {
+        return sendEmail(group, caption, items);
+    },
+};
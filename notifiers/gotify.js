@@ -0,0 +1,42 @@
+const axios = require("axios");
+const { sendWithRetry, requireSettings, htmlToMarkdown } = require("./utils");
+
+// Gotify applications. Gotify has no attachments, so alerts are always text,
+// rendered as Markdown by the Gotify clients.
+module.exports = {
+    type: "gotify",
+    maxMediaBytes: 0,
+    mediaKinds: [],
+
+    validate(settings, path) {
+        return requireSettings(settings, ["url", "token"], path);
+    },
+
+    describe(settings) {
+        return settings.url;
+    },
+
+    sendText(group, message) {
+        const { settings } = group;
+        const [title, ...body] = htmlToMarkdown(message).split("\n");
+
+        return sendWithRetry(
+            () =>
+                axios.post(
+                    `${settings.url.replace(/\/+$/, "")}/message`,
+                    {
+                        title: title.replace(/\*\*/g, ""),
+                        message: body.join("  \n"),
+                        priority: settings.priority ?? 5,
+                        extras: { "client::display": { contentType: "text/markdown" } },
+                    },
+                    { headers: { "X-Gotify-Key": settings.token } }
+                ),
+            `Gotify message to ${group.name}`
+        );
+    },
+
+    sendMedia() {
+        return false;
+    },
+};
@@ -0,0 +1,230 @@
+const { getMediaDownloaders } = require("../frigate");
+const { getMediaKind } = require("./utils");
+const { acquire } = require("../ratelimit");
+const { mediaSent } = require("../metrics");
+
+const NOTIFIERS = Object.fromEntries(
+    [
+        require("./telegram"),
+        require("./ntfy"),
+        require("./gotify"),
+        require("./discord"),
+        require("./slack"),
+        require("./email"),
+        require("./pushover"),
+    ].map((notifier) => [notifier.type, notifier])
+);
+
+const DEFAULT_TYPE = "telegram";
+const NO_MEDIA_NOTE = "\n⚠️ (No media available)";
+const DOWNLOAD_CACHE_MS = 2 * 60 * 1000;
+
+// Media downloaders per event id, shared by the groups alerted for the event
+// so its media is downloaded once
+const sharedDownloaders = new Map();
+
+/**
+ * Get the notifier backend for a group
+ * @param {{type?: string}} group - group or group settings
+ * @returns {Object|undefined}
+ */
+function getNotifier(group) {
+    return NOTIFIERS[group.type || DEFAULT_TYPE];
+}
+
+/**
+ * Check every group has a known type and the settings its notifier needs
+ * @param {Object} groups - config.groups
+ * @returns {Array<string>}
+ */
+function validateGroups(groups) {
+    return Object.entries(groups).flatMap(([name, settings]) => {
+        const path = `groups.${name}`;
+        const notifier = getNotifier(settings);
+        if (!notifier) {
+            return [
+                `${path}.type: unknown type "${settings.type}" (expected ${Object.keys(NOTIFIERS).join(", ")})`,
+            ];
+        }
+        return notifier.validate(settings, path);
+    });
+}
+
+/**
+ * Describe where a group's alerts go, e.g. "ntfy → https://ntfy.sh/front-door"
+ * @param {Object} settings - group settings
+ * @returns {string}
+ */
+function describeGroup(settings) {
+    const notifier = getNotifier(settings);
+    const target = notifier.describe(settings);
+    return notifier.type === DEFAULT_TYPE ? target : `${notifier.type} → ${target}`;
+}
+
+/**
+ * Get the key a group's sends are rate limited under: its chat for Telegram
+ * (groups sharing a chat share its limits), otherwise the group
+ * @param {{name: string, settings: Object}} group
+ * @returns {string}
+ */
+function getRateLimitKey(group) {
+    const notifier = getNotifier(group.settings);
+    return notifier.type === DEFAULT_TYPE
+        ? `${notifier.type}:${group.settings.chat_id}`
+        : `${notifier.type}:${group.name}`;
+}
+
+/**
+ * Check a group's notifier can take a media file, honouring the group's max_media_mb
+ * @param {{name: string, settings: Object}} group
+ * @param {string} fileName
+ * @param {number} [size] - bytes, once downloaded
+ * @returns {boolean}
+ */
+function acceptsMedia(group, fileName, size = 0) {
+    const notifier = getNotifier(group.settings);
+    const maxBytes =
+        group.settings.max_media_mb !== undefined
+            ? group.settings.max_media_mb * 1024 * 1024
+            : notifier.maxMediaBytes;
+    return notifier.mediaKinds.includes(getMediaKind(fileName)) && size <= maxBytes;
+}
+
+/**
+ * Send a text message to a group. The "no media" note is only added for
+ * notifiers that normally carry media.
+ * @param {{name: string, settings: Object}} group
+ * @param {string} message
+ * @param {Object} [event] - the event the message is about
+ * @param {boolean} [mediaFailed] - media was expected but couldn't be sent
+ * @returns {Promise<*>} truthy if sent
+ */
+async function sendText(group, message, event, mediaFailed = false) {
+    const notifier = getNotifier(group.settings);
+    const note = mediaFailed && notifier.mediaKinds.length > 0 ? NO_MEDIA_NOTE : "";
+    await acquire(getRateLimitKey(group));
+    return notifier.sendText(group, message + note, event);
+}
+
+/**
+ * Describe how an alert reached a group
+ * @param {{name: string, settings: Object}} group
+ * @param {string} media - "preview", "video", "snapshot", "thumbnail", "album" or "text"
+ * @param {*} result - what the notifier returned: falsy if nothing was sent,
+ *   the sent message(s) for Telegram
+ * @returns {{group: string, notifier: string, media: string|null, message_ids: Array<number>}}
+ *   media is null when nothing was delivered
+ */
+function toDelivery(group, media, result) {
+    const notifier = getNotifier(group.settings).type;
+    if (result) mediaSent.inc({ media, notifier });
+
+    return {
+        group: group.name,
+        notifier,
+        media: result ? media : null,
+        message_ids: [].concat(result || [])
+            .map((message) => message?.message_id)
+            .filter(Boolean),
+    };
+}
+
+/**
+ * Get an event's media downloaders, shared with other groups alerted for the
+ * event within a couple of minutes. Each downloads at most once and caches the result.
+ * @param {Object} event
+ * @returns {Array<Object>}
+ */
+function getSharedDownloaders(event) {
+    if (!sharedDownloaders.has(event.id)) {
+        const downloaders = getMediaDownloaders(event).map((downloader) => {
+            let pending;
+            const download = () =>
+                (pending ??= downloader.download().catch((error) => {
+                    console.log(`⚠️ ${downloader.label} download failed after retries, trying next...`);
+                    throw error;
+                }));
+            return { ...downloader, download };
+        });
+        sharedDownloaders.set(event.id, downloaders);
+        setTimeout(() => sharedDownloaders.delete(event.id), DOWNLOAD_CACHE_MS).unref();
+    }
+    return sharedDownloaders.get(event.id);
+}
+
+/**
+ * Send an event alert to one group, trying each media type the group's notifier
+ * supports in turn and falling back to text. Media is shared with the other
+ * groups alerted for the event, see getSharedDownloaders.
+ * @param {Object} event
+ * @param {string} message
+ * @param {{name: string, settings: Object}} group
+ * @returns {Promise<Object>} delivery, see toDelivery
+ */
+async function sendEventAlertToGroup(event, message, group) {
+    const notifier = getNotifier(group.settings);
+
+    for (const { download, fileName, label } of getSharedDownloaders(event)) {
+        if (!acceptsMedia(group, fileName)) continue;
+
+        let media;
+        try {
+            media = await download();
+        } catch (e) {
+            continue; // logged once by the shared downloader
+        }
+
+        if (!acceptsMedia(group, fileName, media.buffer.length)) {
+            console.log(
+                `⚠️ ${label} too large for ${group.name} (${(media.buffer.length / 1024 / 1024).toFixed(1)}MB), trying next...`
+            );
+            continue;
+        }
+
+        await acquire(getRateLimitKey(group));
+        const result = await notifier.sendMedia(group, { ...media, fileName, message, event });
+        if (result) return toDelivery(group, label.toLowerCase(), result);
+        console.log(`⚠️ ${label} downloaded but ${notifier.type} rejected it for ${group.name}, trying next...`);
+    }
+
+    if (notifier.mediaKinds.length > 0) {
+        console.error(`❌ All media types failed for event ${event.id} in group ${group.name}`);
+    }
+    return toDelivery(group, "text", await sendText(group, message, event, true));
+}
+
+/**
+ * Send several stills to a group with one caption: as an album where the
+ * notifier supports it, otherwise the first still, otherwise text
+ * @param {{name: string, settings: Object}} group
+ * @param {Array<{buffer: Buffer, fileName: string}>} items
+ * @param {string} caption
+ * @returns {Promise<Object>} delivery, see toDelivery
+ */
+async function sendAlbum(group, items, caption) {
+    const notifier = getNotifier(group.settings);
+    const accepted = items.filter((item) => acceptsMedia(group, item.fileName, item.buffer.length));
+
+    if (accepted.length >= 2 && notifier.sendAlbum) {
+        await acquire(getRateLimitKey(group));
+        const result = await notifier.sendAlbum(group, accepted, caption);
+        if (result) return toDelivery(group, "album", result);
+    }
+    if (accepted.length >= 1) {
+        const [item] = accepted;
+        await acquire(getRateLimitKey(group));
+        const result = await notifier.sendMedia(group, { ...item, message: caption });
+        if (result) return toDelivery(group, item.fileName.replace(/\..*$/, ""), result);
+    }
+    return toDelivery(group, "text", await sendText(group, caption, undefined, true));
+}
+
+module.exports = {
+    getNotifier,
+    validateGroups,
+    describeGroup,
+    sendText,
+    toDelivery,
+    sendEventAlertToGroup,
+    sendAlbum,
+};
@@ -0,0 +1,85 @@
+const axios = require("axios");
+const { sendWithRetry, requireSettings, splitTitle } = require("./utils");
+
+const DEFAULT_URL = "https://ntfy.sh";
+
+/**
+ * Build the request headers for a group's ntfy server
+ * @param {Object} settings
+ * @returns {Object}
+ */
+function authHeaders(settings) {
+    if (settings.token) return { Authorization: `Bearer ${settings.token}` };
+    if (settings.username) {
+        const credentials = Buffer.from(`${settings.username}:${settings.password || ""}`);
+        return { Authorization: `Basic ${credentials.toString("base64")}` };
+    }
+    return {};
+}
+
+/**
+ * Get the server URL for a group, without a trailing slash
+ * @param {Object} settings
+ * @returns {string}
+ */
+function serverUrl(settings) {
+    return (settings.url || DEFAULT_URL).replace(/\/+$/, "");
+}
+
+// ntfy topics, on ntfy.sh or a self-hosted server. Attachments go up as the
+// request body, with title and message as query parameters.
+module.exports = {
+    type: "ntfy",
+    maxMediaBytes: 15 * 1024 * 1024, // ntfy.sh default attachment limit
+    mediaKinds: ["image", "video"],
+
+    validate(settings, path) {
+        return requireSettings(settings, ["topic"], path);
+    },
+
+    describe(settings) {
+        return `${serverUrl(settings)}/${settings.topic}`;
+    },
+
+    sendText(group, message) {
+        const { settings } = group;
+        const { title, body } = splitTitle(message);
+
+        return sendWithRetry(
+            () =>
+                axios.post(
+                    serverUrl(settings),
+                    {
+                        topic: settings.topic,
+                        title,
+                        message: body,
+                        priority: settings.priority,
+                        tags: settings.tags,
+                    },
+                    { headers: authHeaders(settings) }
+                ),
+            `ntfy message to ${group.name}`
+        );
+    },
+
+    sendMedia(group, { buffer, fileName, message }) {
+        const { settings } = group;
+        const { title, body } = splitTitle(message);
+
+        return sendWithRetry(
+            () =>
+                axios.put(`${serverUrl(settings)}/${encodeURIComponent(settings.topic)}`, buffer, {
+                    params: {
+                        filename: fileName,
+                        title,
+                        message: body,
+                        priority: settings.priority,
+                        tags: settings.tags?.join(","),
+                    },
+                    headers: authHeaders(settings),
+                    maxBodyLength: Infinity,
+                }),
+            `ntfy attachment to ${group.name}`
+        );
+    },
+};
@@ -0,0 +1,57 @@
+const axios = require("axios");
+const FormData = require("form-data");
+const { sendWithRetry, requireSettings, splitTitle } = require("./utils");
+
+const API_URL = "https://api.pushover.net/1/messages.json";
+
+/**
+ * Send a Pushover message, optionally with an image attachment
+ * @param {{name: string, settings: Object}} group
+ * @param {string} message - HTML alert (Pushover renders b, i and u tags)
+ * @param {{buffer: Buffer, fileName: string}} [attachment]
+ * @returns {Promise<boolean>}
+ */
+function sendPushover(group, message, attachment) {
+    const { settings } = group;
+    const [title, ...body] = String(message).split("\n");
+
+    return sendWithRetry(() => {
+        const form = new FormData();
+        form.append("token", settings.token);
+        form.append("user", settings.user_key);
+        form.append("title", splitTitle(title).title);
+        form.append("message", body.join("\n") || title);
+        form.append("html", "1");
+        if (settings.priority !== undefined) form.append("priority", String(settings.priority));
+        if (settings.sound) form.append("sound", settings.sound);
+        if (settings.device) form.append("device", settings.device);
+        if (attachment) {
+            form.append("attachment", attachment.buffer, { filename: attachment.fileName });
+        }
+        return axios.post(API_URL, form, { headers: form.getHeaders() });
+    }, `Pushover message to ${group.name}`);
+}
+
+// Pushover users or delivery groups. Only images can be attached.
+module.exports = {
+    type: "pushover",
+    maxMediaBytes: 2.5 * 1024 * 1024, // Pushover's attachment limit
+    mediaKinds: ["image"],
+
+    validate(settings, path) {
+        return requireSettings(settings, ["token", "user_key"], path);
+    },
+
+    describe(settings) {
+        const user = `${String(settings.user_key).slice(0, 4)}…`;
+        return settings.device ? `${user} (${settings.device})` : user;
+    },
+
+    sendText(group, message) {
+        return sendPushover(group, message);
+    },
+
+    sendMedia(group, { buffer, fileName, message }) {
+        return sendPushover(group, message, { buffer, fileName });
+    },
+};
@@ -0,0 +1,42 @@
+const axios = require("axios");
+const { sendWithRetry, requireSettings } = require("./utils");
+
+/**
+ * Convert an HTML alert to Slack mrkdwn. Slack escapes &, < and > the same way
+ * as HTML, so escaped entities are kept as they are.
+ * @param {string} message
+ * @returns {string}
+ */
+function toMrkdwn(message) {
+    return String(message)
+        .replace(/<\/?(b|strong)>/g, "*")
+        .replace(/<\/?(i|em)>/g, "_")
+        .replace(/<[^>]+>/g, "");
+}
+
+// Slack channels, through an incoming webhook. Incoming webhooks can't upload
+// files, so alerts are always text.
+module.exports = {
+    type: "slack",
+    maxMediaBytes: 0,
+    mediaKinds: [],
+
+    validate(settings, path) {
+        return requireSettings(settings, ["webhook_url"], path);
+    },
+
+    describe(settings) {
+        return settings.webhook_url.replace(/\/[^/]+$/, "/…");
+    },
+
+    sendText(group, message) {
+        return sendWithRetry(
+            () => axios.post(group.settings.webhook_url, { text: toMrkdwn(message) }),
+            `Slack message to ${group.name}`
+        );
+    },
+
+    sendMedia() {
+        return false;
+    },
+};
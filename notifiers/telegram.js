@@ -0,0 +1,40 @@
+const {
+    buildAlertKeyboard,
+    sendToTelegram,
+    sendMediaToTelegram,
+    sendMediaGroupToTelegram,
+} = require("../telegram");
+const { requireSettings } = require("./utils");
+
+// Telegram groups send through the bot: the alert keeps its HTML formatting and,
+// when bot commands are enabled, its snooze/false positive/clip buttons.
+module.exports = {
+    type: "telegram",
+    maxMediaBytes: 50 * 1024 * 1024, // Bot API upload limit
+    mediaKinds: ["image", "video"],
+
+    validate(settings, path) {
+        return requireSettings(settings, ["chat_id"], path);
+    },
+
+    describe(settings) {
+        return String(settings.chat_id);
+    },
+
+    sendText(group, message, event) {
+        return sendToTelegram(group.settings.chat_id, message, event && buildAlertKeyboard(event));
+    },
+
+    sendMedia(group, { buffer, fileName, message, event, thumbnail, duration, animation }) {
+        return sendMediaToTelegram(group.settings.chat_id, buffer, message, fileName, {
+            replyMarkup: event && buildAlertKeyboard(event),
+            thumbnail,
+            duration,
+            animation,
+        });
+    },
+
+    sendAlbum(group, items, caption) {
+        return sendMediaGroupToTelegram(group.settings.chat_id, items, caption);
+    },
+};
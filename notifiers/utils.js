@@ -0,0 +1,107 @@
+const { MEDIA_RETRY_ATTEMPTS, MEDIA_RETRY_DELAY_MS } = require("../config");
+const { waitIfRateLimited } = require("../ratelimit");
+const { rateLimited } = require("../metrics");
+
+/**
+ * Run a send function with increasing delays between attempts. A rate-limited
+ * attempt (HTTP 429) waits as long as the service asks and doesn't count.
+ * @param {Function} fn - async function that throws on failure
+ * @param {string} label - description for logging, e.g. "ntfy send to front"
+ * @returns {Promise<boolean>} true if an attempt succeeded
+ */
+async function sendWithRetry(fn, label) {
+    let waits = 0;
+    for (let attempt = 1; attempt <= MEDIA_RETRY_ATTEMPTS; attempt++) {
+        try {
+            await fn();
+            return true;
+        } catch (error) {
+            const errMsg = error.response?.data?.message || error.response?.data?.error || error.message;
+            if (error.response?.status === 429) rateLimited.inc();
+            if (await waitIfRateLimited(error, waits, label)) {
+                waits++;
+                attempt--;
+                continue;
+            }
+            if (attempt < MEDIA_RETRY_ATTEMPTS) {
+                const delay = MEDIA_RETRY_DELAY_MS * attempt;
+                console.log(`⏳ ${label} attempt ${attempt}/${MEDIA_RETRY_ATTEMPTS} failed (${errMsg}), retrying in ${delay / 1000}s...`);
+                await new Promise((r) => setTimeout(r, delay));
+            } else {
+                console.error(`❌ ${label} failed after ${MEDIA_RETRY_ATTEMPTS} attempts: ${errMsg}`);
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Check that a group has the settings a notifier needs
+ * @param {Object} settings - the group's config
+ * @param {Array<string>} fields - required setting names
+ * @param {string} path - config path for error messages
+ * @returns {Array<string>}
+ */
+function requireSettings(settings, fields, path) {
+    return fields
+        .filter((field) => !settings[field])
+        .map((field) => `${path}.${field}: required`);
+}
+
+/**
+ * Convert an HTML-formatted alert (Telegram's HTML subset) to plain text.
+ * Links become "text (url)".
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    return String(html)
+        .replace(/<a\s+href="([^"]*)"[^>]*>(.*?)<\/a>/g, "$2 ($1)")
+        .replace(/<[^>]+>/g, "")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, "&");
+}
+
+/**
+ * Convert an HTML-formatted alert to Markdown (bold and italics only)
+ * @param {string} html
+ * @param {string} [bold] - bold marker, "**" for most Markdown, "*" for Slack
+ * @returns {string}
+ */
+function htmlToMarkdown(html, bold = "**") {
+    return htmlToText(
+        String(html)
+            .replace(/<\/?(b|strong)>/g, bold)
+            .replace(/<\/?(i|em)>/g, "_")
+    );
+}
+
+/**
+ * Split an alert into its first line (title) and the rest (body), as plain text
+ * @param {string} html
+ * @returns {{title: string, body: string}}
+ */
+function splitTitle(html) {
+    const [title, ...body] = htmlToText(html).split("\n");
+    return { title, body: body.join("\n") };
+}
+
+/**
+ * Get the kind of media a file holds, from its extension
+ * @param {string} fileName
+ * @returns {"video"|"image"}
+ */
+function getMediaKind(fileName) {
+    return /\.(mp4|mov|webm)$/i.test(fileName) ? "video" : "image";
+}
+
+module.exports = {
+    sendWithRetry,
+    requireSettings,
+    htmlToText,
+    htmlToMarkdown,
+    splitTitle,
+    getMediaKind,
+};
@@ -0,0 +1,203 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { config, getQueueConfig } = require("./config");
+const { getSection, scheduleSave } = require("./state");
+const { recordDelivery } = require("./history");
+const { gauge, deadLetters } = require("./metrics");
+
+const PUMP_INTERVAL_MS = 1000;
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+
+// Outbound alerts waiting to be delivered, one job per group, persisted in the
+// state file so they survive restarts. A job is removed once its group has
+// the alert, or moved to the dead-letter file once queue.ttl_minutes runs out.
+// Jobs being sent when the process stops are sent again on the next start.
+
+// Send functions per job kind: async (job, group) => delivery (see notifiers.toDelivery)
+const handlers = new Map();
+
+// IDs of jobs being sent right now
+const running = new Set();
+
+gauge("queue_jobs", "Alerts waiting in the outbound queue, by state (queued or sending)", () => {
+    const jobs = getJobs();
+    return [
+        { labels: { state: "queued" }, value: jobs.length - running.size },
+        { labels: { state: "sending" }, value: running.size },
+    ];
+});
+
+/**
+ * Get the persisted job list
+ * @returns {Array<Object>}
+ */
+function getJobs() {
+    const outbox = getSection("outbox");
+    if (!outbox.jobs) outbox.jobs = [];
+    return outbox.jobs;
+}
+
+/**
+ * Register how jobs of a kind are sent
+ * @param {string} kind - e.g. "event"
+ * @param {Function} handler - async (job, group) => delivery
+ */
+function registerJobType(kind, handler) {
+    handlers.set(kind, handler);
+}
+
+/**
+ * Queue an alert for a group
+ * @param {string} kind - a registered job kind
+ * @param {string} groupName
+ * @param {Array<string>} eventIds - events the alert covers, for history
+ * @param {Object} payload - whatever the kind's handler needs, must be JSON-serialisable
+ * @param {string} [after] - ID of a job that must be finished first, to keep messages in order
+ * @returns {string} the job's ID
+ */
+function enqueue(kind, groupName, eventIds, payload, after) {
+    const now = Date.now();
+    const id = crypto.randomUUID();
+    getJobs().push({
+        id,
+        kind,
+        group: groupName,
+        event_ids: eventIds,
+        payload,
+        created_at: now,
+        next_attempt_at: now,
+        attempts: 0,
+        last_error: null,
+        after: after ?? null,
+    });
+    scheduleSave();
+    pump();
+    return id;
+}
+
+/**
+ * Remove a job from the queue
+ * @param {Object} job
+ */
+function removeJob(job) {
+    const jobs = getJobs();
+    const index = jobs.indexOf(job);
+    if (index !== -1) jobs.splice(index, 1);
+    scheduleSave();
+}
+
+/**
+ * Give up on a job: append it to the dead-letter file and record the failed
+ * delivery in history
+ * @param {Object} job
+ * @param {string} reason
+ */
+function deadLetter(job, reason) {
+    const { dead_letter_path } = getQueueConfig();
+    console.error(
+        `❌ Giving up on ${job.kind} alert for ${job.group} after ${job.attempts} attempt(s) (${reason}), see ${dead_letter_path}`
+    );
+    try {
+        fs.appendFileSync(dead_letter_path, JSON.stringify({ ...job, dead_at: Date.now(), reason }) + "\n");
+    } catch (error) {
+        console.error(`❌ Failed to write dead-letter file ${dead_letter_path}:`, error.message);
+    }
+
+    deadLetters.inc({ group: job.group });
+    const settings = config.groups?.[job.group];
+    const notifier = settings?.type || "telegram";
+    for (const eventId of job.event_ids) {
+        recordDelivery(eventId, { group: job.group, notifier, media: null, message_ids: [] });
+    }
+    removeJob(job);
+}
+
+/**
+ * Send a job once. On failure it is retried with a growing delay until its
+ * time to live runs out.
+ * @param {Object} job
+ */
+async function runJob(job) {
+    const settings = config.groups?.[job.group];
+    if (!settings || settings.enabled === false) {
+        console.log(`⚠️ Dropping queued ${job.kind} alert: group ${job.group} was removed or disabled`);
+        removeJob(job);
+        return;
+    }
+
+    const group = { name: job.group, type: settings.type || "telegram", settings };
+    job.attempts++;
+    let error;
+    try {
+        const delivery = await handlers.get(job.kind)(job, group);
+        if (delivery.media !== null) {
+            for (const eventId of job.event_ids) recordDelivery(eventId, delivery);
+            removeJob(job);
+            return;
+        }
+        error = "every send failed";
+    } catch (e) {
+        error = e.message;
+    }
+
+    const { ttl_ms, retry_delay_ms } = getQueueConfig();
+    const delay = Math.min(retry_delay_ms * 2 ** (job.attempts - 1), MAX_RETRY_DELAY_MS);
+    job.last_error = error;
+    if (Date.now() + delay > job.created_at + ttl_ms) {
+        deadLetter(job, error);
+        return;
+    }
+    job.next_attempt_at = Date.now() + delay;
+    scheduleSave();
+    console.log(`⏳ ${job.kind} alert for ${job.group} not delivered (${error}), retrying in ${Math.round(delay / 1000)}s...`);
+}
+
+/**
+ * Start sending the jobs that are due, oldest first, up to queue.concurrency at once
+ */
+function pump() {
+    const { concurrency, ttl_ms } = getQueueConfig();
+    const now = Date.now();
+    const queued = new Set(getJobs().map((job) => job.id));
+
+    for (const job of [...getJobs()]) {
+        if (running.size >= concurrency) break;
+        if (running.has(job.id) || job.next_attempt_at > now || queued.has(job.after)) continue;
+
+        if (!handlers.has(job.kind)) {
+            console.log(`⚠️ Dropping queued alert of unknown kind "${job.kind}" for ${job.group}`);
+            removeJob(job);
+            continue;
+        }
+        if (now > job.created_at + ttl_ms) {
+            deadLetter(job, job.last_error || "expired");
+            continue;
+        }
+
+        running.add(job.id);
+        runJob(job)
+            .catch((error) => console.error(`❌ Queued alert for ${job.group} failed:`, error.message))
+            .finally(() => {
+                running.delete(job.id);
+                pump();
+            });
+    }
+}
+
+/**
+ * Start sending queued alerts, including any left from before a restart
+ */
+function startOutbox() {
+    const jobs = getJobs();
+    if (jobs.length > 0) {
+        console.log(`📬 Resuming ${jobs.length} queued alert(s) from before the restart`);
+    }
+    pump();
+    setInterval(pump, PUMP_INTERVAL_MS);
+}
+
+module.exports = {
+    registerJobType,
+    enqueue,
+    startOutbox,
+};
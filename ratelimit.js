@@ -0,0 +1,118 @@
+const { getQueueConfig } = require("./config");
+
+const GLOBAL_KEY = "*";
+const LONGEST_WINDOW_MS = 60 * 1000;
+const MAX_RATE_LIMIT_WAITS = 5; // per send, so a service that keeps refusing can't hold it forever
+
+// Recent send times (ms) per rate limit key, GLOBAL_KEY for all sends
+const sends = new Map();
+
+/**
+ * Get the rate limit windows that apply to a key
+ * @param {string} key
+ * @returns {Array<{key: string, limit: number, windowMs: number}>}
+ */
+function getWindows(key) {
+    const queue = getQueueConfig();
+    return [
+        { key: GLOBAL_KEY, limit: queue.global_per_second, windowMs: 1000 },
+        { key, limit: queue.chat_per_second, windowMs: 1000 },
+        { key, limit: queue.chat_per_minute, windowMs: 60 * 1000 },
+    ];
+}
+
+/**
+ * Get how long until a send to a key fits every window
+ * @param {string} key
+ * @param {number} now - ms
+ * @returns {number} ms, 0 if it can be sent now
+ */
+function getWaitMs(key, now) {
+    let wait = 0;
+    for (const window of getWindows(key)) {
+        const recent = (sends.get(window.key) || []).filter((time) => now - time < window.windowMs);
+        if (recent.length >= window.limit) {
+            wait = Math.max(wait, recent[recent.length - window.limit] + window.windowMs - now);
+        }
+    }
+    return wait;
+}
+
+/**
+ * Record a send to a key, forgetting sends older than the longest window
+ * @param {string} key
+ * @param {number} now - ms
+ */
+function recordSend(key, now) {
+    for (const k of [GLOBAL_KEY, key]) {
+        const recent = (sends.get(k) || []).filter((time) => now - time < LONGEST_WINDOW_MS);
+        recent.push(now);
+        sends.set(k, recent);
+    }
+}
+
+/**
+ * Wait until a message can be sent to a chat without breaking the per-chat and
+ * global limits (queue.chat_per_second, queue.chat_per_minute,
+ * queue.global_per_second), and count it as sent
+ * @param {string} key - the chat, e.g. "telegram:-100123" or "ntfy:front"
+ * @returns {Promise<void>}
+ */
+async function acquire(key) {
+    for (;;) {
+        const now = Date.now();
+        const wait = getWaitMs(key, now);
+        if (wait <= 0) {
+            recordSend(key, now);
+            return;
+        }
+        await new Promise((r) => setTimeout(r, wait));
+    }
+}
+
+/**
+ * Get how long a rate-limited (HTTP 429) request asked us to wait: Telegram's
+ * parameters.retry_after, Discord's retry_after or a Retry-After header
+ * @param {Error} error - axios error
+ * @returns {number|null} ms, null if the request wasn't rate limited or gave no wait
+ */
+function getRetryAfterMs(error) {
+    const response = error.response;
+    if (response?.status !== 429) return null;
+
+    const value =
+        response.data?.parameters?.retry_after ??
+        response.data?.retry_after ??
+        response.headers?.["retry-after"];
+    if (value === undefined || value === null) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+    const date = Date.parse(value); // Retry-After can also be an HTTP date
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Wait as long as a rate-limited request asked, so it can be retried. These
+ * waits don't count as failed attempts, up to a few per send.
+ * @param {Error} error
+ * @param {number} waits - how many times this send has already waited
+ * @param {string} label - description for logging, e.g. "Telegram send to -100123"
+ * @returns {Promise<boolean>} true if it waited and the send should be retried
+ */
+async function waitIfRateLimited(error, waits, label) {
+    const retryAfter = getRetryAfterMs(error);
+    if (retryAfter === null || waits >= MAX_RATE_LIMIT_WAITS) return false;
+
+    console.log(`⏳ ${label} rate limited, retrying in ${retryAfter / 1000}s...`);
+    await new Promise((r) => setTimeout(r, retryAfter));
+    return true;
+}
+
+module.exports = {
+    getWaitMs,
+    recordSend,
+    acquire,
+    getRetryAfterMs,
+    waitIfRateLimited,
+};
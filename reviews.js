@@ -0,0 +1,47 @@
+const { qualifyName } = require("./instances");
+
+// Frigate 0.14+ groups activity into review segments: one per burst of activity
+// on a camera, with "alert" or "detection" severity and every object seen in
+// it. With ingest_source "review" a segment is handled like a single event, so
+// filters, routing and templates work unchanged: its first object is the
+// event's label and all of them are in `labels`.
+
+const SEVERITIES = ["alert", "detection"];
+
+/**
+ * Turn a review segment from Frigate's /review API or reviews topic into an
+ * alertable event, qualified with its instance's name
+ * @param {string|null} instanceName
+ * @param {Object} review - as returned by Frigate
+ * @returns {Object} event with review: true, severity, labels and detections
+ *   (the IDs of the segment's tracked-object events)
+ */
+function fromReviewSegment(instanceName, review) {
+    const data = review.data || {};
+    // Objects whose sub label was verified are listed as e.g. "person-verified"
+    const labels = [
+        ...new Set([...(data.objects || []), ...(data.audio || [])].map((label) => label.replace(/-verified$/, ""))),
+    ];
+
+    return {
+        id: qualifyName(instanceName, review.id),
+        camera: qualifyName(instanceName, review.camera),
+        ...(instanceName && { instance: instanceName }),
+        review: true,
+        severity: review.severity,
+        label: labels[0] ?? null,
+        labels,
+        sub_label: data.sub_labels?.[0] ?? null,
+        zones: data.zones || [],
+        detections: (data.detections || []).map((id) => qualifyName(instanceName, id)),
+        start_time: review.start_time,
+        end_time: review.end_time ?? null,
+        has_clip: true,
+        has_snapshot: (data.detections || []).length > 0,
+    };
+}
+
+module.exports = {
+    SEVERITIES,
+    fromReviewSegment,
+};
@@ -0,0 +1,312 @@
+const { parseSolarExpression, getSolarEventTime } = require("./solar");
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const FULL_DAY_NAMES = [
+    "sunday",
+    "monday",
+    "tuesday",
+    "wednesday",
+    "thursday",
+    "friday",
+    "saturday",
+];
+const DAY_GROUPS = {
+    daily: DAY_NAMES,
+    all: DAY_NAMES,
+    weekdays: ["mon", "tue", "wed", "thu", "fri"],
+    weekends: ["sat", "sun"],
+};
+
+const DEFAULT_START_TIME = "00:00";
+const DEFAULT_END_TIME = "23:59";
+
+/**
+ * Expand a window's days into day indexes (0 = Sunday)
+ * @param {string|Array<string>} [days] - e.g. ["mon", "tue"], "weekdays" or ["weekends", "fri"]
+ * @returns {Array<number>}
+ */
+function parseDays(days) {
+    if (!days) return [0, 1, 2, 3, 4, 5, 6];
+
+    const names = (Array.isArray(days) ? days : [days]).flatMap((day) => {
+        const name = String(day).toLowerCase();
+        return DAY_GROUPS[name] || [name.slice(0, 3)];
+    });
+    return [...new Set(names.map((name) => DAY_NAMES.indexOf(name)))].filter(
+        (index) => index >= 0
+    );
+}
+
+/**
+ * Check a day name or group ("mon", "monday", "weekdays") is recognised
+ * @param {string} day
+ * @returns {boolean}
+ */
+function isValidDay(day) {
+    const name = String(day).toLowerCase();
+    return (
+        name in DAY_GROUPS ||
+        DAY_NAMES.includes(name) ||
+        FULL_DAY_NAMES.includes(name)
+    );
+}
+
+/**
+ * Check an IANA timezone name is supported
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time
+ * @returns {number}
+ */
+function toMinutes(time) {
+    const [hour, minute] = time.split(":").map(Number);
+    return hour * 60 + minute;
+}
+
+/**
+ * Get the wall-clock date and time of an instant, in a timezone or server local time
+ * @param {Date} date
+ * @param {string} [timezone]
+ * @returns {{date: string, day: number, minutes: number}} date as YYYY-MM-DD, day 0 = Sunday
+ */
+function getLocalParts(date, timezone) {
+    if (!timezone) {
+        const pad = (n) => String(n).padStart(2, "0");
+        return {
+            date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+            day: date.getDay(),
+            minutes: date.getHours() * 60 + date.getMinutes(),
+        };
+    }
+
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat("en-US", {
+            timeZone: timezone,
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            hourCycle: "h23",
+        })
+            .formatToParts(date)
+            .map((part) => [part.type, part.value])
+    );
+    const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+    return {
+        date: localDate,
+        day: new Date(`${localDate}T00:00:00Z`).getUTCDay(),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+}
+
+/**
+ * Resolve a schedule time to minutes since midnight on a date. Times are either
+ * "HH:MM" or solar expressions such as "sunset-30m", which need a location.
+ * @param {string} time
+ * @param {string} date - YYYY-MM-DD, local to the schedule's timezone
+ * @param {{timezone?: string, location?: {latitude: number, longitude: number}}} schedule
+ * @returns {number|null} null if the solar event doesn't happen that day
+ */
+function resolveMinutes(time, date, schedule) {
+    const solar = parseSolarExpression(time);
+    if (!solar) return toMinutes(time);
+    if (!schedule.location) return null;
+
+    const eventTime = getSolarEventTime(solar.event, date, schedule.location);
+    if (!eventTime) return null;
+
+    const { minutes } = getLocalParts(eventTime, schedule.timezone);
+    return normalizeMinutes(minutes + solar.offsetMinutes);
+}
+
+/**
+ * Wrap minutes into a single day
+ * @param {number} minutes
+ * @returns {number}
+ */
+function normalizeMinutes(minutes) {
+    return ((minutes % 1440) + 1440) % 1440;
+}
+
+/**
+ * Format minutes since midnight as HH:MM
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Get the calendar date before a YYYY-MM-DD date
+ * @param {string} date
+ * @returns {string}
+ */
+function previousDate(date) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - 1);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Find the exception that applies on a date, if any
+ * @param {Array<Object>} exceptions
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|undefined}
+ */
+function findException(exceptions, date) {
+    return (exceptions || []).find(
+        (exception) =>
+            exception.date === date ||
+            exception.dates?.includes(date) ||
+            (exception.from && exception.to && exception.from <= date && date <= exception.to)
+    );
+}
+
+/**
+ * Get the windows that start on a given date: an exception's windows replace the
+ * regular ones, otherwise the regular windows for that weekday apply
+ * @param {Object} schedule - resolved schedule
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} day - 0 = Sunday
+ * @returns {Array<{start: number, end: number}>} start/end in minutes
+ */
+function getWindowsStartingOn(schedule, date, day) {
+    const exception = findException(schedule.exceptions, date);
+    const windows = exception
+        ? exception.windows || []
+        : schedule.windows.filter((window) => parseDays(window.days).includes(day));
+
+    return windows
+        .map((window) => ({
+            start: resolveMinutes(window.start_time || DEFAULT_START_TIME, date, schedule),
+            end: resolveMinutes(window.end_time || DEFAULT_END_TIME, date, schedule),
+        }))
+        .filter(({ start, end }) => start !== null && end !== null);
+}
+
+/**
+ * Check if a time falls within a schedule. Windows where the end is before the
+ * start cross midnight and belong to the day they start on.
+ * @param {{windows: Array<Object>, timezone?: string, exceptions?: Array<Object>, location?: Object}} schedule
+ * @param {Date} [at] - defaults to now
+ * @returns {boolean}
+ */
+function isWithinSchedule(schedule, at = new Date()) {
+    const { date, day, minutes } = getLocalParts(at, schedule.timezone);
+
+    const today = getWindowsStartingOn(schedule, date, day);
+    if (
+        today.some(({ start, end }) =>
+            start <= end
+                ? minutes >= start && minutes <= end
+                : minutes >= start
+        )
+    ) {
+        return true;
+    }
+
+    // Tail of yesterday's windows that cross midnight
+    const yesterday = getWindowsStartingOn(schedule, previousDate(date), (day + 6) % 7);
+    return yesterday.some(({ start, end }) => start > end && minutes <= end);
+}
+
+/**
+ * Format a window's days compactly, e.g. "Mon-Fri" or "Sat, Sun"
+ * @param {string|Array<string>} [days]
+ * @returns {string} empty when the window applies every day
+ */
+function describeDays(days) {
+    const indexes = parseDays(days).sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+    if (indexes.length === 7) return "";
+
+    const label = (index) => DAY_NAMES[index][0].toUpperCase() + DAY_NAMES[index].slice(1);
+    const monFirst = indexes.map((index) => (index + 6) % 7);
+    const contiguous = monFirst.every((value, i) => i === 0 || value === monFirst[i - 1] + 1);
+    if (contiguous && indexes.length > 2) {
+        return `${label(indexes[0])}-${label(indexes[indexes.length - 1])}`;
+    }
+    return indexes.map(label).join(", ");
+}
+
+/**
+ * Resolve a schedule time (HH:MM or solar expression) to HH:MM on a day
+ * @param {string} time
+ * @param {Object} schedule - supplies timezone and location
+ * @param {Date} [at] - defaults to today
+ * @returns {string|null} null if the solar event doesn't happen that day
+ */
+function resolveTime(time, schedule, at = new Date()) {
+    const { date } = getLocalParts(at, schedule.timezone);
+    const minutes = resolveMinutes(time, date, schedule);
+    return minutes === null ? null : formatMinutes(minutes);
+}
+
+/**
+ * Describe a schedule time, adding what a solar expression resolves to on a date
+ * @param {string} time
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} schedule
+ * @returns {string}
+ */
+function describeTime(time, date, schedule) {
+    if (!parseSolarExpression(time)) return time;
+
+    const minutes = resolveMinutes(time, date, schedule);
+    return `${time} (${minutes === null ? "n/a" : formatMinutes(minutes)})`;
+}
+
+/**
+ * Describe a resolved schedule for display, e.g. "Mon-Fri 08:00 - 17:00; Sat, Sun 00:00 - 23:59 (Europe/London)".
+ * Solar times show what they resolve to on the given day, e.g. "sunset-30m (17:42)".
+ * @param {{windows: Array<Object>, timezone?: string, exceptions?: Array<Object>}} schedule
+ * @param {Date} [at] - day to resolve solar times for, defaults to today
+ * @returns {string}
+ */
+function describeSchedule(schedule, at = new Date()) {
+    const { date } = getLocalParts(at, schedule.timezone);
+    const windows = schedule.windows.length
+        ? schedule.windows
+              .map((window) => {
+                  const days = describeDays(window.days);
+                  const start = describeTime(window.start_time || DEFAULT_START_TIME, date, schedule);
+                  const end = describeTime(window.end_time || DEFAULT_END_TIME, date, schedule);
+                  return days ? `${days} ${start} - ${end}` : `${start} - ${end}`;
+              })
+              .join("; ")
+        : "never";
+
+    const extras = [
+        schedule.timezone,
+        schedule.exceptions?.length ? `${schedule.exceptions.length} exception(s)` : null,
+    ].filter(Boolean);
+
+    return extras.length ? `${windows} (${extras.join(", ")})` : windows;
+}
+
+module.exports = {
+    DEFAULT_START_TIME,
+    DEFAULT_END_TIME,
+    parseDays,
+    getLocalParts,
+    toMinutes,
+    isValidDay,
+    isValidTimezone,
+    isWithinSchedule,
+    resolveTime,
+    describeSchedule,
+};
@@ -0,0 +1,610 @@
+const fs = require("fs");
+const { isValidDay, isValidTimezone } = require("./schedule");
+const { parseSolarExpression, looksLikeSolarExpression } = require("./solar");
+const { LANGUAGES, WEBHOOK_PLACEHOLDERS, validateTemplate } = require("./templates");
+const { SEVERITIES } = require("./reviews");
+
+// Config schema. Each node describes one value:
+//   type        - "string", "number", "integer", "boolean", "array", "object" or "map"
+//                 (an object with arbitrary keys), or a list of these
+//   properties  - known keys of an object; other keys are reported as warnings
+//                 unless `open` is set
+//   required    - keys an object must have
+//   items       - schema for array items; `values` for map values; `keys` for map keys
+//   enum, min, max, format - value constraints
+//   check       - (value, path, root) => errors, for rules spanning several keys
+// null counts as "not set", matching how the config is read.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const FORMATS = {
+    time: (value, root) => {
+        if (looksLikeSolarExpression(value)) {
+            if (!parseSolarExpression(value)) {
+                return `invalid solar time "${value}" (e.g. "sunset-30m", "sunrise+1h")`;
+            }
+            return root.location ? null : `"${value}" needs "location" with latitude and longitude`;
+        }
+        return TIME_PATTERN.test(value) ? null : `invalid time "${value}" (expected HH:MM, 00:00 - 23:59)`;
+    },
+    clock: (value) => (TIME_PATTERN.test(value) ? null : `invalid time "${value}" (expected HH:MM, 00:00 - 23:59)`),
+    date: (value) => (DATE_PATTERN.test(value) ? null : `invalid date "${value}" (expected YYYY-MM-DD)`),
+    day: (value) => (isValidDay(value) ? null : `unknown day "${value}"`),
+    timezone: (value) => (isValidTimezone(value) ? null : `unknown timezone "${value}"`),
+    url: (value) => (/^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value) ? null : `invalid URL "${value}"`),
+    file: (value) => (fs.existsSync(value) ? null : `file not found "${value}"`),
+    instance_name: (value) =>
+        /^[A-Za-z0-9_-]+$/.test(value)
+            ? null
+            : `invalid instance name "${value}" (use letters, digits, "_" and "-")`,
+    camera: (value, root) => {
+        const index = value.indexOf("/");
+        if (index === -1) return null;
+        const instance = value.slice(0, index);
+        return Array.isArray(root.frigate_api_url) && root.frigate_api_url.some((i) => i?.name === instance)
+            ? null
+            : `unknown Frigate instance "${instance}" (not named in "frigate_api_url")`;
+    },
+    group: (value, root) =>
+        root.groups?.[value] ? null : `unknown group "${value}" (not defined in "groups")`,
+};
+
+const string = { type: "string" };
+const boolean = { type: "boolean" };
+const stringList = { type: "array", items: string };
+const seconds = { type: "number", min: 0 };
+const time = { type: "string", format: "time" };
+const date = { type: "string", format: "date" };
+const groupList = { type: "array", items: { type: "string", format: "group" } };
+const file = { type: "string", format: "file" };
+
+const windowSchema = {
+    type: "object",
+    properties: {
+        days: { type: ["string", "array"], format: "day", items: { type: "string", format: "day" } },
+        start_time: time,
+        end_time: time,
+        description: string,
+    },
+};
+
+const exceptionSchema = {
+    type: "object",
+    properties: {
+        date,
+        dates: { type: "array", items: date },
+        from: date,
+        to: date,
+        windows: { type: "array", items: windowSchema },
+        description: string,
+    },
+    check: (exception, path) =>
+        exception.date || exception.dates || (exception.from && exception.to)
+            ? []
+            : [`${path}: needs "date", "dates" or "from" and "to"`],
+};
+
+const scheduleSchema = {
+    type: "object",
+    properties: {
+        start_time: time,
+        end_time: time,
+        windows: { type: "array", items: windowSchema },
+        timezone: { type: "string", format: "timezone" },
+        exceptions: { type: "array", items: exceptionSchema },
+        always_send: boolean,
+    },
+};
+
+const filterProperties = {
+    min_score: { type: "number", min: 0, max: 1 },
+    min_area: { type: "number", min: 0 },
+    max_area: { type: "number", min: 0 },
+    skip_stationary: boolean,
+    suppress_seen_minutes: { type: "number", min: 0 },
+    seen_overlap: { type: "number", min: 0, max: 1 },
+};
+
+const filtersSchema = {
+    type: "object",
+    properties: {
+        ...filterProperties,
+        labels: { type: "map", values: { type: "object", properties: filterProperties } },
+    },
+};
+
+const aggregationSchema = {
+    type: "object",
+    properties: {
+        window_seconds: seconds,
+        max_items: { type: "integer", min: 1, max: 10 },
+    },
+};
+
+const messageSchema = {
+    type: "object",
+    properties: {
+        template: {
+            type: "string",
+            check: (template, path) => {
+                const error = validateTemplate(template);
+                return error ? [`${path}: ${error}`] : [];
+            },
+        },
+        language: { type: "string", enum: Object.keys(LANGUAGES) },
+        time_format: string,
+    },
+};
+
+const webhookSchema = {
+    type: "object",
+    required: ["url"],
+    properties: {
+        name: string,
+        url: { type: "string", format: "url" },
+        method: { type: "string", enum: ["POST", "PUT", "PATCH"] },
+        headers: { type: "map", values: string },
+        cameras: stringList,
+        labels: stringList,
+        zones: stringList,
+        groups: groupList,
+        body: {
+            type: ["object", "array", "string"],
+            open: true,
+            check: (body, path) => {
+                const error = validateTemplate(body, WEBHOOK_PLACEHOLDERS);
+                return error ? [`${path}: ${error}`] : [];
+            },
+        },
+        secret: string,
+        timeout_seconds: { type: "number", min: 1 },
+        retries: { type: "integer", min: 0, max: 10 },
+        retry_delay_seconds: seconds,
+    },
+};
+
+// Notifier-specific group settings are checked by the notifiers themselves
+const groupSchema = {
+    type: "object",
+    open: true,
+    properties: {
+        type: string,
+        enabled: boolean,
+        always_send: boolean,
+        schedule: scheduleSchema,
+        description: string,
+        cooldown_seconds: seconds,
+        aggregation: aggregationSchema,
+        max_media_mb: { type: "number", min: 0 },
+        message: messageSchema,
+        mode: { type: "string", enum: ["live", "digest", "both"] },
+        severities: { type: "array", items: { type: "string", enum: SEVERITIES } },
+        digest: {
+            type: "object",
+            properties: {
+                frequency: { type: "string", enum: ["daily", "weekly"] },
+                time: { type: "string", format: "clock" },
+                day: { type: "string", format: "day" },
+                top_snapshots: { type: "integer", min: 0, max: 10 },
+            },
+        },
+    },
+    check: (group, path) =>
+        ["digest", "both"].includes(group.mode) && !group.digest?.time
+            ? [`${path}.digest.time: required for mode "${group.mode}"`]
+            : [],
+};
+
+// An arming mode: its rules alone decide which groups an event alerts
+const modeSchema = {
+    type: "object",
+    properties: {
+        description: string,
+        rules: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["groups"],
+                properties: {
+                    groups: groupList,
+                    cameras: stringList,
+                    labels: stringList,
+                    zones: stringList,
+                },
+            },
+        },
+    },
+};
+
+// An escalation policy: who gets an alert next while nobody acknowledges it
+const escalationSchema = {
+    type: "object",
+    required: ["chain"],
+    properties: {
+        name: string,
+        cameras: stringList,
+        labels: stringList,
+        zones: stringList,
+        groups: groupList,
+        chain: {
+            ...groupList,
+            check: (chain, path) => (chain.length > 0 ? [] : [`${path}: list at least one group`]),
+        },
+        after_minutes: { type: "number", min: 1 },
+        repeat: { type: "integer", min: 0, max: 10 },
+    },
+};
+
+const authSchema = {
+    type: "object",
+    properties: {
+        username: string,
+        password: string,
+        token: string,
+        headers: { type: "map", values: string },
+        cookie_name: string,
+    },
+    check: (auth, path) => {
+        const errors = [];
+        if (auth.username && !auth.password) errors.push(`${path}.password: required with "username"`);
+        if (auth.username && auth.token) {
+            errors.push(`${path}: use either "username"/"password" or "token", not both`);
+        }
+        return errors;
+    },
+};
+
+const tlsSchema = {
+    type: "object",
+    properties: {
+        ca_file: file,
+        cert_file: file,
+        key_file: file,
+        insecure_skip_verify: boolean,
+    },
+    check: (tls, path) =>
+        Boolean(tls.cert_file) === Boolean(tls.key_file)
+            ? []
+            : [`${path}: "cert_file" and "key_file" must be set together`],
+};
+
+const mqttSchema = {
+    type: "object",
+    properties: {
+        url: { type: "string", format: "url" },
+        username: string,
+        password: string,
+        topic_prefix: string,
+        client_id: string,
+    },
+};
+
+const ingestMode = { type: "string", enum: ["poll", "mqtt"] };
+const ingestSource = { type: "string", enum: ["events", "review"] };
+
+// One entry of frigate_api_url when it lists several Frigate instances
+const instanceSchema = {
+    type: "object",
+    required: ["name", "url"],
+    properties: {
+        name: { type: "string", format: "instance_name" },
+        url: { type: "string", format: "url" },
+        ui_url: { type: "string", format: "url" },
+        auth: authSchema,
+        tls: tlsSchema,
+        mqtt: mqttSchema,
+        ingest_mode: ingestMode,
+        ingest_source: ingestSource,
+    },
+};
+
+const cameraSchema = {
+    type: "object",
+    properties: {
+        groups: groupList,
+        labels: stringList,
+        schedule: scheduleSchema,
+        always_send: boolean,
+        group_schedules: {
+            type: "map",
+            keys: { format: "group" },
+            values: {
+                type: "object",
+                properties: { schedule: scheduleSchema, always_send: boolean },
+            },
+        },
+        zones: {
+            type: "object",
+            properties: {
+                require: stringList,
+                exclude: stringList,
+                labels: { type: "map", values: stringList },
+                groups: { type: "map", values: groupList },
+            },
+        },
+        filters: filtersSchema,
+        cooldown_seconds: seconds,
+        label_cooldown_seconds: { type: "map", values: seconds },
+        message: messageSchema,
+        description: string,
+    },
+};
+
+const configSchema = {
+    type: "object",
+    required: ["groups"],
+    properties: {
+        frigate_api_url: {
+            type: ["string", "array"],
+            format: "url",
+            items: instanceSchema,
+            check: (instances, path) => {
+                if (!Array.isArray(instances)) return [];
+                const names = instances.map((instance) => instance?.name).filter(Boolean);
+                const duplicates = [...new Set(names.filter((name, i) => names.indexOf(name) !== i))];
+                return [
+                    ...(instances.length === 0 ? [`${path}: list at least one Frigate instance`] : []),
+                    ...duplicates.map((name) => `${path}: duplicate instance name "${name}"`),
+                ];
+            },
+        },
+        frigate_ui_url: { type: "string", format: "url" },
+        frigate_auth: authSchema,
+        frigate_tls: tlsSchema,
+        telegram_bot_token: string,
+        poll_interval_seconds: { type: "number", min: 1 },
+        webhook_url: { type: "string", format: "url" },
+        webhooks: {
+            type: "array",
+            items: webhookSchema,
+            check: (webhooks, path) => {
+                const names = webhooks.map((webhook) => webhook?.name).filter(Boolean);
+                const duplicates = [...new Set(names.filter((name, i) => names.indexOf(name) !== i))];
+                return duplicates.map((name) => `${path}: duplicate webhook name "${name}"`);
+            },
+        },
+        escalations: {
+            type: "array",
+            items: escalationSchema,
+            check: (escalations, path) => {
+                const names = escalations.map((policy) => policy?.name).filter(Boolean);
+                const duplicates = [...new Set(names.filter((name, i) => names.indexOf(name) !== i))];
+                return duplicates.map((name) => `${path}: duplicate escalation name "${name}"`);
+            },
+        },
+        media_retry_attempts: { type: "integer", min: 1 },
+        media_retry_delay_seconds: seconds,
+        ingest_mode: ingestMode,
+        ingest_source: ingestSource,
+        review: {
+            type: "object",
+            properties: {
+                end_wait_seconds: seconds,
+            },
+        },
+        mqtt: mqttSchema,
+        state_file: string,
+        state_retention_hours: { type: "number", min: 0 },
+        catchup_window_minutes: { type: "number", min: 0 },
+        bot: {
+            type: "object",
+            properties: {
+                enabled: boolean,
+                admin_user_ids: { type: "array", items: { type: ["integer", "string"] } },
+                false_positive_action: { type: "string", enum: ["false_positive", "delete", "none"] },
+            },
+        },
+        http: {
+            type: "object",
+            properties: {
+                enabled: boolean,
+                host: string,
+                port: { type: "integer", min: 1, max: 65535 },
+                unhealthy_after_minutes: { type: "number", min: 1 },
+                token: string,
+            },
+        },
+        monitor: {
+            type: "object",
+            properties: {
+                enabled: boolean,
+                groups: groupList,
+                interval_seconds: { type: "number", min: 10 },
+                debounce_seconds: seconds,
+                max_inference_ms: { type: "number", min: 1 },
+                max_storage_percent: { type: "number", min: 1, max: 100 },
+                ignore_cameras: stringList,
+            },
+            check: (monitor, path) =>
+                monitor.enabled && !monitor.groups?.length ? [`${path}.groups: list a group to alert when enabled`] : [],
+        },
+        history: {
+            type: "object",
+            properties: {
+                enabled: boolean,
+                file: string,
+                retention_days: { type: "number", min: 1 },
+            },
+        },
+        video: {
+            type: "object",
+            properties: {
+                max_size_mb: { type: "number", min: 1 },
+                max_duration_seconds: { type: "number", min: 1 },
+                end_wait_seconds: seconds,
+                ffmpeg_path: string,
+                transcode: boolean,
+                preview: {
+                    type: "object",
+                    properties: {
+                        enabled: boolean,
+                        format: { type: "string", enum: ["mp4", "gif"] },
+                        duration_seconds: { type: "number", min: 1, max: 30 },
+                        width: { type: "integer", min: 64, max: 1920 },
+                    },
+                },
+            },
+        },
+        queue: {
+            type: "object",
+            properties: {
+                chat_per_second: { type: "integer", min: 1 },
+                chat_per_minute: { type: "integer", min: 1 },
+                global_per_second: { type: "integer", min: 1 },
+                concurrency: { type: "integer", min: 1, max: 50 },
+                ttl_minutes: { type: "number", min: 1 },
+                retry_delay_seconds: { type: "number", min: 1 },
+                dead_letter_file: string,
+            },
+        },
+        timezone: { type: "string", format: "timezone" },
+        location: {
+            type: "object",
+            required: ["latitude", "longitude"],
+            properties: {
+                latitude: { type: "number", min: -90, max: 90 },
+                longitude: { type: "number", min: -180, max: 180 },
+            },
+        },
+        default_schedule: scheduleSchema,
+        default_groups: groupList,
+        modes: {
+            type: "map",
+            values: modeSchema,
+            check: (modes, path) =>
+                "schedules" in modes ? [`${path}.schedules: reserved for "no mode", pick another name`] : [],
+        },
+        default_mode: {
+            type: "string",
+            check: (name, path, root) =>
+                root.modes?.[name] ? [] : [`${path}: unknown mode "${name}" (not defined in "modes")`],
+        },
+        cooldown_seconds: seconds,
+        aggregation: aggregationSchema,
+        filters: filtersSchema,
+        message: messageSchema,
+        groups: {
+            type: "map",
+            values: groupSchema,
+            check: (groups, path) =>
+                Object.keys(groups).length > 0 ? [] : [`${path}: at least one group is required`],
+        },
+        cameras: { type: "map", keys: { format: "camera" }, values: cameraSchema },
+    },
+};
+
+/**
+ * Join a config path and a key
+ * @param {string} path
+ * @param {string} key
+ * @returns {string}
+ */
+function join(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Get the schema type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+/**
+ * Check a value matches one schema type
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === "number") return actual === "number" || actual === "integer";
+    if (type === "map") return actual === "object";
+    return actual === type;
+}
+
+/**
+ * Validate a value against a schema node, collecting errors and warnings
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path - config path for messages, e.g. "cameras.front_door.labels"
+ * @param {Object} root - the whole config, for cross-references
+ * @param {{errors: Array<string>, warnings: Array<string>}} result
+ */
+function validateNode(value, schema, path, root, result) {
+    if (value === null || value === undefined) return;
+
+    const types = [].concat(schema.type);
+    const type = types.find((t) => matchesType(value, t));
+    if (!type) {
+        const expected = types.map((t) => (t === "map" ? "object" : t)).join(" or ");
+        result.errors.push(`${path}: expected ${expected}, got ${typeOf(value)} ${JSON.stringify(value)}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        result.errors.push(
+            `${path}: invalid value ${JSON.stringify(value)} (expected ${schema.enum.map((v) => `"${v}"`).join(", ")})`
+        );
+    }
+    if (typeof value === "number") {
+        if (schema.min !== undefined && value < schema.min) {
+            result.errors.push(`${path}: ${value} is below the minimum of ${schema.min}`);
+        }
+        if (schema.max !== undefined && value > schema.max) {
+            result.errors.push(`${path}: ${value} is above the maximum of ${schema.max}`);
+        }
+    }
+    if (typeof value === "string" && schema.format) {
+        const error = FORMATS[schema.format](value, root);
+        if (error) result.errors.push(`${path}: ${error}`);
+    }
+
+    if (type === "array" && schema.items) {
+        value.forEach((item, i) => validateNode(item, schema.items, `${path}[${i}]`, root, result));
+    }
+    if (type === "map") {
+        for (const [key, item] of Object.entries(value)) {
+            const keyError = schema.keys?.format && FORMATS[schema.keys.format](key, root);
+            if (keyError) result.errors.push(`${join(path, key)}: ${keyError}`);
+            if (schema.values) validateNode(item, schema.values, join(path, key), root, result);
+        }
+    }
+    if (type === "object") {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === null) {
+                result.errors.push(`${join(path, key)}: required`);
+            }
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const property = schema.properties?.[key];
+            if (property) {
+                validateNode(item, property, join(path, key), root, result);
+            } else if (!schema.open) {
+                result.warnings.push(`${join(path, key)}: unknown setting (ignored)`);
+            }
+        }
+    }
+
+    if (schema.check) result.errors.push(...schema.check(value, path, root));
+}
+
+/**
+ * Validate a whole config against the schema
+ * @param {Object} config
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function validateConfig(config) {
+    const result = { errors: [], warnings: [] };
+    validateNode(config, configSchema, "", config, result);
+    return result;
+}
+
+module.exports = {
+    validateConfig,
+};
@@ -0,0 +1,116 @@
+const http = require("http");
+const { HTTP_CONFIG } = require("./config");
+const { renderMetrics } = require("./metrics");
+const { getHealth } = require("./health");
+
+// Routes keyed by "METHOD /path". A handler receives the request and its parsed
+// URL and returns { status, body, contentType }; object bodies are sent as JSON.
+const routes = new Map();
+
+/**
+ * Register an HTTP endpoint
+ * @param {string} method - e.g. "GET"
+ * @param {string} path - exact path, e.g. "/healthz"
+ * @param {Function} handler - async (req, url) => {status?, body, contentType?}
+ * @param {{auth?: boolean}} [options] - auth: the endpoint changes what gets
+ *   alerted, so it needs http.token sent as a bearer token, and is refused
+ *   while no token is set
+ */
+function addRoute(method, path, handler, { auth = false } = {}) {
+    routes.set(`${method.toUpperCase()} ${path}`, { handler, auth });
+}
+
+/**
+ * Check a request to an endpoint that needs the token
+ * @param {import("http").IncomingMessage} req
+ * @returns {{status: number, body: Object}|null} the error response, null if allowed
+ */
+function checkAuth(req) {
+    if (!HTTP_CONFIG.token) {
+        return { status: 403, body: { error: "Set http.token to use this endpoint" } };
+    }
+    if (req.headers.authorization !== `Bearer ${HTTP_CONFIG.token}`) {
+        return { status: 401, body: { error: "Missing or wrong bearer token" } };
+    }
+    return null;
+}
+
+/**
+ * Write a handler's response
+ * @param {import("http").ServerResponse} res
+ * @param {{status?: number, body: *, contentType?: string}} response
+ */
+function writeResponse(res, { status = 200, body, contentType }) {
+    const isJson = typeof body !== "string";
+    res.writeHead(status, {
+        "Content-Type": contentType || (isJson ? "application/json" : "text/plain; charset=utf-8"),
+    });
+    res.end(isJson ? JSON.stringify(body, null, 2) : body);
+}
+
+addRoute("GET", "/healthz", () => {
+    const health = getHealth();
+    return { status: health.healthy ? 200 : 503, body: health };
+});
+
+addRoute("GET", "/metrics", () => ({
+    body: renderMetrics(),
+    contentType: "text/plain; version=0.0.4; charset=utf-8",
+}));
+
+/**
+ * Read a request's body as text
+ * @param {import("http").IncomingMessage} req
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        req.setEncoding("utf8");
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => resolve(body));
+        req.on("error", reject);
+    });
+}
+
+/**
+ * Start the HTTP server for health checks, metrics and other registered endpoints
+ * (only when enabled in config)
+ */
+function startHttpServer() {
+    if (!HTTP_CONFIG.enabled) return;
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        const route = routes.get(`${req.method} ${url.pathname}`);
+
+        if (!route) {
+            writeResponse(res, { status: 404, body: { error: "Not found" } });
+            return;
+        }
+        const denied = route.auth ? checkAuth(req) : null;
+        if (denied) {
+            writeResponse(res, denied);
+            return;
+        }
+        try {
+            writeResponse(res, await route.handler(req, url));
+        } catch (error) {
+            console.error(`❌ HTTP ${req.method} ${url.pathname} failed:`, error.message);
+            writeResponse(res, { status: 500, body: { error: error.message } });
+        }
+    });
+
+    server.on("error", (error) => {
+        console.error(`❌ HTTP server error: ${error.message}`);
+    });
+    server.listen(HTTP_CONFIG.port, HTTP_CONFIG.host, () => {
+        console.log(`🌐 HTTP server listening on ${HTTP_CONFIG.host}:${HTTP_CONFIG.port}`);
+    });
+}
+
+module.exports = {
+    addRoute,
+    readBody,
+    startHttpServer,
+};
@@ -0,0 +1,236 @@
+const fs = require("fs");
+const {
+    config,
+    getGroupNamesForEvent,
+    getGroupSeverities,
+    getScheduleForCameraAndGroup,
+    getEventLabels,
+    getEventZones,
+    isLabelAllowed,
+    isZoneAllowed,
+} = require("./config");
+const { describeSchedule } = require("./schedule");
+const { getThresholdRejection, getStationaryRejection } = require("./filters");
+const { getMode, getActiveMode, getArmedGroups } = require("./modes");
+const { getEscalationPolicy } = require("./escalations");
+const { parseTimeParam } = require("./history");
+
+// Routing simulator (--simulate): runs a made-up event, or events recorded with
+// --record, through the same label, zone, score, mode and schedule checks as
+// live events at a chosen time, and prints what every group would get. Nothing
+// is sent and the state file is left alone. Mutes, snoozes, cooldowns and
+// suppress_seen_minutes depend on what happened before, so they aren't simulated.
+
+/**
+ * Get a command line option's value, e.g. "front_door" for --camera front_door
+ * @param {Array<string>} argv
+ * @param {string} name - without the leading "--"
+ * @returns {string|null} null if the option or its value is missing
+ */
+function getOption(argv, name) {
+    const index = argv.indexOf(`--${name}`);
+    const value = index !== -1 ? argv[index + 1] : undefined;
+    return value !== undefined && !value.startsWith("--") ? value : null;
+}
+
+/**
+ * Read events from a file: a JSON array (e.g. saved from Frigate's /api/events),
+ * a single event, or one event per line as written by --record
+ * @param {string} file
+ * @returns {Array<Object>}
+ */
+function loadEvents(file) {
+    const text = fs.readFileSync(file, "utf8");
+    try {
+        return [].concat(JSON.parse(text));
+    } catch (error) {
+        return text
+            .split("\n")
+            .filter((line) => line.trim())
+            .map((line) => JSON.parse(line));
+    }
+}
+
+/**
+ * Build an event from --camera, --label, --zone (comma-separated), --sub-label,
+ * --score and --severity
+ * @param {Array<string>} argv
+ * @param {number} startTime - unix seconds
+ * @returns {Object}
+ */
+function buildEvent(argv, startTime) {
+    const score = getOption(argv, "score");
+    const severity = getOption(argv, "severity");
+    return {
+        id: "simulated",
+        camera: getOption(argv, "camera"),
+        label: getOption(argv, "label"),
+        sub_label: getOption(argv, "sub-label"),
+        entered_zones: (getOption(argv, "zone") || "").split(",").filter(Boolean),
+        start_time: startTime,
+        end_time: startTime,
+        ...(score !== null && { top_score: Number(score) }),
+        ...(severity !== null && { severity }),
+    };
+}
+
+/**
+ * Get the filter that stops an event for every group, if any
+ * @param {Object} event
+ * @returns {string|null}
+ */
+function getEventRejection(event) {
+    if (!isLabelAllowed(event)) {
+        return `label "${getEventLabels(event).join(", ")}" not allowed on ${event.camera}`;
+    }
+    if (!isZoneAllowed(event)) {
+        return `zones [${getEventZones(event).join(", ")}] not allowed on ${event.camera}`;
+    }
+    const rejection = getThresholdRejection(event) || getStationaryRejection(event);
+    return rejection ? `${rejection.reason}, ${rejection.message}` : null;
+}
+
+/**
+ * Explain why a group isn't alerted for an event that passed the filters
+ * @param {Object} event
+ * @param {string} groupName
+ * @param {Date} at
+ * @param {Object|null} mode
+ * @returns {string}
+ */
+function getSkipReason(event, groupName, at, mode) {
+    const settings = config.groups[groupName];
+    if (settings.enabled === false) return "disabled";
+    if (settings.mode === "digest") return "digest only";
+    if (event.severity && !getGroupSeverities(groupName).includes(event.severity)) {
+        return `not alerted for ${event.severity}s`;
+    }
+    if (mode) return `not armed in mode ${mode.name}`;
+    if (!getGroupNamesForEvent(event).includes(groupName)) return `not in ${event.camera}'s groups`;
+    return `outside schedule ${describeSchedule(getScheduleForCameraAndGroup(event.camera, groupName), at)}`;
+}
+
+/**
+ * Work out what every group would get for an event at a given time
+ * @param {Object} event
+ * @param {Date} at
+ * @param {Object|null} mode - see modes.getMode, null for schedules
+ * @returns {{rejection: string|null, groups: Array<{name: string, alert: boolean, reason: string}>, escalation: Object|null}}
+ */
+function simulateEvent(event, at, mode) {
+    const rejection = getEventRejection(event);
+    const armed = rejection ? [] : getArmedGroups(event, at, mode);
+
+    const groups = Object.keys(config.groups).map((name) => {
+        const group = armed.find((g) => g.name === name);
+        if (group) {
+            const reason = mode
+                ? `armed in mode ${mode.name}`
+                : group.schedule.always_send
+                  ? "always send"
+                  : `within schedule ${describeSchedule(group.schedule, at)}`;
+            return { name, alert: true, reason };
+        }
+        return { name, alert: false, reason: rejection ? "filtered" : getSkipReason(event, name, at, mode) };
+    });
+
+    const alerted = armed.map((group) => group.name);
+    return {
+        rejection,
+        groups,
+        escalation: alerted.length > 0 ? getEscalationPolicy(event, alerted) : null,
+    };
+}
+
+/**
+ * Print a simulated event's outcome
+ * @param {Object} event
+ * @param {Date} at
+ * @param {Object} result - see simulateEvent
+ */
+function printResult(event, at, result) {
+    const zones = getEventZones(event);
+    console.log(
+        `\n🧪 ${event.camera}: ${getEventLabels(event).join(", ")}${zones.length ? ` 📍 ${zones.join(", ")}` : ""} at ${at.toLocaleString(undefined, { timeZone: config.timezone })}${event.id !== "simulated" ? ` (${event.id})` : ""}`
+    );
+    if (result.rejection) console.log(`   🚫 Filtered: ${result.rejection}`);
+    for (const group of result.groups) {
+        console.log(`   ${group.alert ? "✅" : "⚪"} ${group.name}: ${group.alert ? "alert" : "skip"} - ${group.reason}`);
+    }
+    if (result.escalation) {
+        console.log(`   ⏫ Escalates via ${result.escalation.name}: ${result.escalation.chain.join(" → ")}`);
+    }
+}
+
+/**
+ * Run --simulate: print the routing decision for an event described on the
+ * command line, or for each event in --file, at --at (default: each event's
+ * start time, or now) in --mode (default: the active mode)
+ * @param {Array<string>} argv
+ * @returns {number} exit status
+ */
+function runSimulation(argv) {
+    const atOption = getOption(argv, "at");
+    const at = atOption !== null ? parseTimeParam(atOption) : null;
+    if (atOption !== null && at === null) {
+        console.error(`❌ --at: invalid time "${atOption}" (use unix seconds or an ISO 8601 date/time)`);
+        return 1;
+    }
+
+    const modeOption = getOption(argv, "mode");
+    if (modeOption !== null && modeOption !== "schedules" && !getMode(modeOption)) {
+        console.error(`❌ --mode: unknown mode "${modeOption}" (not defined in "modes")`);
+        return 1;
+    }
+    const mode = modeOption !== null ? getMode(modeOption) : getActiveMode();
+
+    const file = getOption(argv, "file");
+    let events;
+    if (file) {
+        try {
+            events = loadEvents(file);
+        } catch (error) {
+            console.error(`❌ Failed to read events from ${file}:`, error.message);
+            return 1;
+        }
+    } else if (getOption(argv, "camera") && getOption(argv, "label")) {
+        events = [buildEvent(argv, at ?? Date.now() / 1000)];
+    } else {
+        console.error("❌ --simulate needs --camera and --label, or --file <events file>");
+        return 1;
+    }
+
+    console.log(`🛡️ Mode: ${mode ? mode.name : "none, schedules apply"}`);
+    let alerted = 0;
+    for (const event of events) {
+        const time = new Date((at ?? event.start_time ?? Date.now() / 1000) * 1000);
+        const result = simulateEvent(event, time, mode);
+        if (result.groups.some((group) => group.alert)) alerted++;
+        printResult(event, time, result);
+    }
+    console.log(
+        `\n🧪 ${events.length} event(s) simulated, ${alerted} would alert. Nothing was sent; mutes, snoozes, cooldowns and suppress_seen_minutes aren't simulated.`
+    );
+    return 0;
+}
+
+/**
+ * Append an event to a --record file, one JSON event per line
+ * @param {string} file
+ * @param {Object} event
+ */
+function recordEvent(file, event) {
+    try {
+        fs.appendFileSync(file, JSON.stringify(event) + "\n");
+        console.log(`🎙️ Recorded event ${event.id} (${event.camera}: ${getEventLabels(event).join(", ")})`);
+    } catch (error) {
+        console.error(`❌ Failed to record event ${event.id} to ${file}:`, error.message);
+    }
+}
+
+module.exports = {
+    getOption,
+    simulateEvent,
+    runSimulation,
+    recordEvent,
+};
@@ -0,0 +1,98 @@
+// Sunrise/sunset calculation based on the "Almanac for Computers" (US Naval Observatory)
+// algorithm. Accurate to about a minute, which is plenty for alert schedules, and
+// needs no network lookup.
+
+const ZENITHS = {
+    sunrise: 90.833, // official: upper limb on the horizon, with refraction
+    sunset: 90.833,
+    dawn: 96, // civil twilight
+    dusk: 96,
+};
+const RISING_EVENTS = ["sunrise", "dawn"];
+
+const SOLAR_EXPRESSION = /^(sunrise|sunset|dawn|dusk)\s*(?:([+-])\s*((?:\d+[hm])+))?$/i;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const normalize = (value, max) => ((value % max) + max) % max;
+
+/**
+ * Parse a solar time expression such as "sunset", "sunset-30m" or "sunrise+1h15m"
+ * @param {string} text
+ * @returns {{event: string, offsetMinutes: number}|null} null if not a solar expression
+ */
+function parseSolarExpression(text) {
+    const match = SOLAR_EXPRESSION.exec(String(text).trim());
+    if (!match) return null;
+
+    const [, event, sign, offset] = match;
+    let offsetMinutes = 0;
+    for (const [, amount, unit] of (offset || "").matchAll(/(\d+)([hm])/gi)) {
+        offsetMinutes += Number(amount) * (unit.toLowerCase() === "h" ? 60 : 1);
+    }
+
+    return {
+        event: event.toLowerCase(),
+        offsetMinutes: sign === "-" ? -offsetMinutes : offsetMinutes,
+    };
+}
+
+/**
+ * Check if a time string looks like it is meant to be a solar expression
+ * @param {string} text
+ * @returns {boolean}
+ */
+function looksLikeSolarExpression(text) {
+    return /^\s*(sun|dawn|dusk)/i.test(String(text));
+}
+
+/**
+ * Calculate when a solar event happens on a calendar date
+ * @param {string} event - "sunrise", "sunset", "dawn" or "dusk"
+ * @param {string} date - YYYY-MM-DD
+ * @param {{latitude: number, longitude: number}} location
+ * @returns {Date|null} null when the event doesn't happen that day (polar day/night)
+ */
+function getSolarEventTime(event, date, location) {
+    const { latitude, longitude } = location;
+    const midnight = Date.parse(`${date}T00:00:00Z`);
+    const dayOfYear = Math.floor(
+        (midnight - Date.UTC(new Date(midnight).getUTCFullYear(), 0, 1)) / 86400000
+    ) + 1;
+    const rising = RISING_EVENTS.includes(event);
+
+    const lngHour = longitude / 15;
+    const t = dayOfYear + ((rising ? 6 : 18) - lngHour) / 24;
+
+    // Sun's mean anomaly and true longitude
+    const M = 0.9856 * t - 3.289;
+    const L = normalize(
+        M + 1.916 * Math.sin(toRadians(M)) + 0.02 * Math.sin(toRadians(2 * M)) + 282.634,
+        360
+    );
+
+    // Right ascension, in the same quadrant as L, in hours
+    let RA = normalize(toDegrees(Math.atan(0.91764 * Math.tan(toRadians(L)))), 360);
+    RA += Math.floor(L / 90) * 90 - Math.floor(RA / 90) * 90;
+    RA /= 15;
+
+    // Declination and local hour angle
+    const sinDec = 0.39782 * Math.sin(toRadians(L));
+    const cosDec = Math.cos(Math.asin(sinDec));
+    const cosH =
+        (Math.cos(toRadians(ZENITHS[event])) - sinDec * Math.sin(toRadians(latitude))) /
+        (cosDec * Math.cos(toRadians(latitude)));
+    if (cosH > 1 || cosH < -1) return null;
+
+    const H = (rising ? 360 - toDegrees(Math.acos(cosH)) : toDegrees(Math.acos(cosH))) / 15;
+    const localMeanTime = H + RA - 0.06571 * t - 6.622;
+    const utcHours = normalize(localMeanTime - lngHour, 24);
+
+    return new Date(midnight + utcHours * 3600000);
+}
+
+module.exports = {
+    parseSolarExpression,
+    looksLikeSolarExpression,
+    getSolarEventTime,
+};
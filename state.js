@@ -0,0 +1,144 @@
+const fs = require("fs");
+const { STATE_PATH, STATE_RETENTION_MS } = require("./config");
+
+const SAVE_DELAY_MS = 1000;
+
+let state = {
+    last_timestamp: null,
+    processed: {},
+};
+let saveTimer = null;
+let persist = true;
+
+/**
+ * Load processed-event state from disk (missing file = fresh state)
+ */
+function loadState() {
+    if (!fs.existsSync(STATE_PATH)) {
+        console.log(`📝 No state file at ${STATE_PATH}, starting fresh`);
+        return;
+    }
+
+    try {
+        const data = JSON.parse(fs.readFileSync(STATE_PATH, "utf8"));
+        state = {
+            ...data,
+            last_timestamp: data.last_timestamp ?? null,
+            processed: data.processed || {},
+        };
+        pruneProcessed();
+        console.log(
+            `✅ State loaded from ${STATE_PATH} (${Object.keys(state.processed).length} processed events)`
+        );
+    } catch (error) {
+        console.error(`❌ Failed to load state file ${STATE_PATH}:`, error.message);
+    }
+}
+
+/**
+ * Write state to disk immediately (atomic rename)
+ */
+function saveState() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    if (!persist) return;
+
+    const tmpPath = `${STATE_PATH}.tmp`;
+    try {
+        fs.writeFileSync(tmpPath, JSON.stringify(state));
+        fs.renameSync(tmpPath, STATE_PATH);
+    } catch (error) {
+        console.error(`❌ Failed to save state file ${STATE_PATH}:`, error.message);
+    }
+}
+
+/**
+ * Save state shortly, batching writes from bursts of events
+ */
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveState, SAVE_DELAY_MS);
+}
+
+/**
+ * Drop processed event IDs older than the retention period
+ */
+function pruneProcessed() {
+    const cutoff = (Date.now() - STATE_RETENTION_MS) / 1000;
+    for (const [id, startTime] of Object.entries(state.processed)) {
+        if (startTime < cutoff) delete state.processed[id];
+    }
+}
+
+/**
+ * Check if an event has already been processed
+ * @param {string} eventId
+ * @returns {boolean}
+ */
+function isProcessed(eventId) {
+    return eventId in state.processed;
+}
+
+/**
+ * Record an event as processed so it is never handled again
+ * @param {Object} event
+ */
+function markProcessed(event) {
+    state.processed[event.id] = event.start_time;
+    pruneProcessed();
+    scheduleSave();
+}
+
+/**
+ * Record that events have been seen up to now
+ * @param {string|null} [instanceName] - named Frigate instances are tracked separately
+ */
+function touchLastTimestamp(instanceName) {
+    const now = Date.now() / 1000;
+    if (instanceName) getSection("last_timestamps")[instanceName] = now;
+    else state.last_timestamp = now;
+    scheduleSave();
+}
+
+/**
+ * Get the time (unix seconds) events were last seen, or null on first run
+ * @param {string|null} [instanceName] - a named instance not seen yet falls back
+ *   to the single-instance time, so switching to named instances still catches up
+ * @returns {number|null}
+ */
+function getLastTimestamp(instanceName) {
+    return (instanceName && state.last_timestamps?.[instanceName]) ?? state.last_timestamp;
+}
+
+/**
+ * Get a named section of persisted state, creating it if missing.
+ * Mutate the returned object and call scheduleSave() to persist changes.
+ * @param {string} name
+ * @returns {Object}
+ */
+function getSection(name) {
+    if (!state[name]) state[name] = {};
+    return state[name];
+}
+
+/**
+ * Keep state in memory only from now on, for runs that must not touch the
+ * service's state file (--simulate, --record)
+ */
+function keepStateInMemory() {
+    persist = false;
+}
+
+module.exports = {
+    loadState,
+    saveState,
+    scheduleSave,
+    keepStateInMemory,
+    getSection,
+    isProcessed,
+    markProcessed,
+    touchLastTimestamp,
+    getLastTimestamp,
+};
@@ -2,57 +2,214 @@ const axios = require("axios");
 const FormData = require("form-data");
 const {
     TELEGRAM_BOT_TOKEN,
+    BOT_CONFIG,
     MEDIA_RETRY_ATTEMPTS,
     MEDIA_RETRY_DELAY_MS,
-    getGroupsToAlert,
+    getScheduleForCameraAndGroup,
+    getMessageConfig,
+    getEventZones,
 } = require("./config");
+const { describeSchedule } = require("./schedule");
+const { getEventScore } = require("./filters");
+const { formatEventMessage } = require("./templates");
+const { filterSnoozedGroups } = require("./mutes");
+const { getActiveMode, getArmedGroups } = require("./modes");
+const { isAwaitingAck } = require("./escalations");
+const { waitIfRateLimited } = require("./ratelimit");
+const { timed, telegramDuration, telegramFailures, rateLimited } = require("./metrics");
+const { recordSuccess, recordFailure } = require("./health");
+
+const SNOOZE_OPTIONS = ["30m", "2h"];
+const MAX_CALLBACK_DATA_BYTES = 64;
 
 /**
- * Send a message to a specific Telegram chat
- * @param {string} chatId
- * @param {string} message
+ * Build the Telegram Bot API URL for a method
+ * @param {string} method
+ * @returns {string}
  */
-async function sendToTelegram(chatId, message) {
-    const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`;
+function apiUrl(method) {
+    return `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/${method}`;
+}
+
+/**
+ * Call a Telegram send method, recording its latency and outcome for /metrics and /healthz
+ * @param {string} method - e.g. "sendMessage"
+ * @param {Object} data - JSON payload or FormData
+ * @param {Object} [options] - axios options
+ * @returns {Promise<Object>} axios response
+ */
+async function postToTelegram(method, data, options) {
     try {
-        await axios.post(url, {
-            chat_id: chatId,
-            text: message || "",
-            parse_mode: "HTML",
-        });
-        console.log(`✅ Message sent to chat ${chatId}`);
-    } catch (error) {
-        console.error(
-            `❌ Failed to send message to ${chatId}:`,
-            error.response?.data || error.message
+        const response = await timed(telegramDuration, { method }, () =>
+            axios.post(apiUrl(method), data, options)
         );
+        recordSuccess("telegram");
+        return response;
+    } catch (error) {
+        telegramFailures.inc({ method });
+        if (error.response?.status === 429) rateLimited.inc();
+        recordFailure("telegram", error.response?.data?.description || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Escape text for use in an HTML-formatted Telegram message
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+}
+
+/**
+ * Build the alert caption for an event from the group's message template
+ * @param {Object} event
+ * @param {string} [groupName] - without one, the camera's and root message settings apply
+ * @returns {string}
+ */
+function formatAlertMessage(event, groupName) {
+    const schedule = getScheduleForCameraAndGroup(event.camera, groupName);
+    return formatEventMessage(event, getMessageConfig(event.camera, groupName), {
+        zones: getEventZones(event),
+        score: getEventScore(event),
+        schedule: schedule.always_send ? null : describeSchedule(schedule),
+        mode: getActiveMode()?.name ?? null,
+    });
+}
+
+/**
+ * Build the inline keyboard attached to alerts (only when bot commands are enabled,
+ * since button presses are received through the bot's update loop)
+ * @param {Object} event
+ * @returns {Object|undefined}
+ */
+function buildAlertKeyboard(event) {
+    if (!BOT_CONFIG.enabled) return undefined;
+
+    // Review segment buttons act on the segment (its tracked objects for false positives)
+    const reviewSuffix = event.review ? ":review" : "";
+    const button = (text, data) =>
+        Buffer.byteLength(data) <= MAX_CALLBACK_DATA_BYTES
+            ? { text, callback_data: data }
+            : null;
+
+    const rows = [
+        // Alerts covered by an escalation policy can be acknowledged to stop it
+        isAwaitingAck(event.id) ? [button("✅ Acknowledge", `ack:${event.id}`)] : [],
+        SNOOZE_OPTIONS.map((duration) =>
+            button(`💤 Snooze ${duration}`, `snooze:${duration}:${event.camera}`)
+        ),
+        [
+            button("🚫 False positive", `fp:${event.id}${reviewSuffix}`),
+            event.has_clip ? button("🎬 Full clip", `clip:${event.id}${reviewSuffix}`) : null,
+        ],
+    ]
+        .map((row) => row.filter(Boolean))
+        .filter((row) => row.length > 0);
+
+    return rows.length > 0 ? { inline_keyboard: rows } : undefined;
+}
+
+/**
+ * Get groups to alert for an event (by the arming mode or schedules), leaving
+ * out groups that snoozed the camera
+ * @param {Object} event
+ * @returns {Array<{name: string, type: string, settings: Object}>}
+ */
+function getRecipientGroups(event) {
+    return filterSnoozedGroups(event.camera, getArmedGroups(event));
+}
+
+/**
+ * Send a message to a specific Telegram chat. Only retried when Telegram rate
+ * limits it (HTTP 429), after the wait Telegram asks for.
+ * @param {string} chatId
+ * @param {string} message
+ * @param {Object} [replyMarkup] - optional inline keyboard
+ * @returns {Promise<Object|false>} the sent message, or false on failure
+ */
+async function sendToTelegram(chatId, message, replyMarkup) {
+    for (let waits = 0; ; waits++) {
+        try {
+            const response = await postToTelegram("sendMessage", {
+                chat_id: chatId,
+                text: message || "",
+                parse_mode: "HTML",
+                reply_markup: replyMarkup,
+            });
+            console.log(`✅ Message sent to chat ${chatId}`);
+            return response.data?.result || true;
+        } catch (error) {
+            if (await waitIfRateLimited(error, waits, `Telegram message to ${chatId}`)) continue;
+            console.error(
+                `❌ Failed to send message to ${chatId}:`,
+                error.response?.data || error.message
+            );
+            return false;
+        }
     }
 }
 
+/**
+ * Pick the Bot API method for a media file: clips as playable videos, previews
+ * as animations, images as documents
+ * @param {string} fileName
+ * @param {boolean} [animation]
+ * @returns {{method: string, field: string}}
+ */
+function getSendMethod(fileName, animation) {
+    if (animation || fileName.endsWith(".gif")) return { method: "sendAnimation", field: "animation" };
+    if (fileName.endsWith(".mp4")) return { method: "sendVideo", field: "video" };
+    return { method: "sendDocument", field: "document" };
+}
+
 /**
  * Send media to a specific Telegram chat with retries
  * @param {string} chatId
  * @param {Buffer} buffer
  * @param {string} caption
  * @param {string} fileName
- * @returns {boolean}
+ * @param {{replyMarkup?: Object, replyToMessageId?: number, thumbnail?: Buffer, duration?: number, animation?: boolean}} [options]
+ *   thumbnail and duration are used for videos and animations
+ * @returns {Promise<Object|false>} the sent message, or false on failure
  */
-async function sendMediaToTelegram(chatId, buffer, caption, fileName) {
-    const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendDocument`;
+async function sendMediaToTelegram(chatId, buffer, caption, fileName, options = {}) {
+    const { method, field } = getSendMethod(fileName, options.animation);
+    let waits = 0;
 
     for (let attempt = 1; attempt <= MEDIA_RETRY_ATTEMPTS; attempt++) {
         const form = new FormData();
         form.append("chat_id", chatId);
-        form.append("document", buffer, { filename: fileName });
+        form.append(field, buffer, { filename: fileName });
+        if (method !== "sendDocument") {
+            if (options.thumbnail) form.append("thumbnail", options.thumbnail, { filename: "thumbnail.jpg" });
+            if (options.duration) form.append("duration", String(Math.round(options.duration)));
+        }
+        if (method === "sendVideo") form.append("supports_streaming", "true");
         if (caption) form.append("caption", caption);
         form.append("parse_mode", "HTML");
+        if (options.replyMarkup) {
+            form.append("reply_markup", JSON.stringify(options.replyMarkup));
+        }
+        if (options.replyToMessageId) {
+            form.append("reply_to_message_id", String(options.replyToMessageId));
+        }
 
         try {
-            await axios.post(url, form, { headers: form.getHeaders() });
+            const response = await postToTelegram(method, form, { headers: form.getHeaders() });
             console.log(`✅ Media sent to chat ${chatId}`);
-            return true;
+            return response.data?.result || true;
         } catch (error) {
             const errMsg = error.response?.data?.description || error.message;
+            if (await waitIfRateLimited(error, waits, `Telegram send to ${chatId}`)) {
+                waits++;
+                attempt--;
+                continue;
+            }
             if (attempt < MEDIA_RETRY_ATTEMPTS) {
                 const delay = MEDIA_RETRY_DELAY_MS * attempt;
                 console.log(`⏳ Telegram send to ${chatId} attempt ${attempt}/${MEDIA_RETRY_ATTEMPTS} failed (${errMsg}), retrying in ${delay / 1000}s...`);
@@ -66,58 +223,61 @@ async function sendMediaToTelegram(chatId, buffer, caption, fileName) {
 }
 
 /**
- * Send alert with media to all configured groups for a camera
- * @param {Object} event
- * @param {Buffer} mediaBuffer
- * @param {string} message
- * @param {string} fileName
- * @returns {boolean} true if media was sent to all groups successfully
+ * Send an album of photos/videos to a specific Telegram chat with retries
+ * @param {string} chatId
+ * @param {Array<{buffer: Buffer, fileName: string}>} items - 2 to 10 items
+ * @param {string} caption - shown under the album
+ * @returns {Promise<Array<Object>|false>} the sent messages, or false on failure
  */
-async function sendMediaAlertToGroups(event, mediaBuffer, message, fileName) {
-    const groups = getGroupsToAlert(event);
+async function sendMediaGroupToTelegram(chatId, items, caption) {
+    let waits = 0;
+    for (let attempt = 1; attempt <= MEDIA_RETRY_ATTEMPTS; attempt++) {
+        const form = new FormData();
+        form.append("chat_id", chatId);
+        form.append(
+            "media",
+            JSON.stringify(
+                items.map((item, i) => ({
+                    type: item.fileName.endsWith(".mp4") ? "video" : "photo",
+                    media: `attach://file${i}`,
+                    ...(i === 0 && caption ? { caption, parse_mode: "HTML" } : {}),
+                }))
+            )
+        );
+        items.forEach((item, i) => {
+            form.append(`file${i}`, item.buffer, { filename: item.fileName });
+        });
 
-    if (groups.length === 0) {
-        console.log(`⚠️ No groups configured for camera: ${event.camera}`);
-        return false;
+        try {
+            const response = await postToTelegram("sendMediaGroup", form, { headers: form.getHeaders() });
+            console.log(`✅ Album of ${items.length} sent to chat ${chatId}`);
+            return response.data?.result || true;
+        } catch (error) {
+            const errMsg = error.response?.data?.description || error.message;
+            if (await waitIfRateLimited(error, waits, `Telegram album to ${chatId}`)) {
+                waits++;
+                attempt--;
+                continue;
+            }
+            if (attempt < MEDIA_RETRY_ATTEMPTS) {
+                const delay = MEDIA_RETRY_DELAY_MS * attempt;
+                console.log(`⏳ Telegram album to ${chatId} attempt ${attempt}/${MEDIA_RETRY_ATTEMPTS} failed (${errMsg}), retrying in ${delay / 1000}s...`);
+                await new Promise((r) => setTimeout(r, delay));
+            } else {
+                console.error(`❌ Failed to send album to ${chatId} after ${MEDIA_RETRY_ATTEMPTS} attempts: ${errMsg}`);
+            }
+        }
     }
-
-    console.log(
-        `📤 Sending media alert to ${groups.length} group(s): ${groups
-            .map((g) => g.name)
-            .join(", ")}`
-    );
-
-    const results = await Promise.all(
-        groups.map((group) =>
-            sendMediaToTelegram(group.chat_id, mediaBuffer, message, fileName)
-        )
-    );
-
-    return results.every(Boolean);
-}
-
-/**
- * Send text-only alert to all configured groups for a camera
- * @param {Object} event
- * @param {string} message
- */
-async function sendTextAlertToGroups(event, message) {
-    const groups = getGroupsToAlert(event);
-
-    if (groups.length === 0) return;
-
-    console.log(
-        `📤 Sending text alert to ${groups.length} group(s): ${groups
-            .map((g) => g.name)
-            .join(", ")}`
-    );
-
-    await Promise.all(
-        groups.map((group) => sendToTelegram(group.chat_id, message))
-    );
+    return false;
 }
 
 module.exports = {
-    sendMediaAlertToGroups,
-    sendTextAlertToGroups,
+    apiUrl,
+    escapeHtml,
+    formatAlertMessage,
+    buildAlertKeyboard,
+    getRecipientGroups,
+    sendToTelegram,
+    sendMediaToTelegram,
+    sendMediaGroupToTelegram,
 };
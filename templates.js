@@ -0,0 +1,362 @@
+// Alert message templates. A template is HTML (Telegram's subset) with
+// {placeholders}; values are escaped before they are inserted. A line whose
+// placeholders are all empty is left out, so optional details like zones
+// don't leave a dangling "Zone:" line.
+
+const { splitName } = require("./instances");
+
+const PLACEHOLDERS = [
+    "camera",
+    "label",
+    "sub_label",
+    "score",
+    "zones",
+    "time",
+    "url",
+    "schedule",
+    "event_id",
+    "instance",
+    "severity",
+    "mode",
+];
+
+// Webhook bodies are JSON: a string that is just "{placeholder}" takes the
+// value's own type (e.g. zones as an array), other strings are interpolated
+const WEBHOOK_PLACEHOLDERS = [
+    "event_id",
+    "camera",
+    "label",
+    "sub_label",
+    "score",
+    "zones",
+    "groups",
+    "start_time",
+    "end_time",
+    "time",
+    "url",
+    "instance",
+    "severity",
+    "labels",
+];
+
+const DEFAULT_LANGUAGE = "en";
+const DEFAULT_TIME_FORMAT = "medium";
+const TIME_STYLES = ["short", "medium", "long", "full"];
+const TIME_TOKENS = /YYYY|MM|DD|HH|mm|ss/g;
+
+// Built-in translations: the default template, fixed strings and common Frigate labels
+const LANGUAGES = {
+    en: {
+        locale: "en-GB",
+        template:
+            "🚨 <b>Frigate Alert!</b>\n📷 Camera: {camera}\n📌 Object: {label}\n🏷️ Name: {sub_label}\n📍 Zone: {zones}\n⏳ Time: {time}\n⏰ {schedule}",
+        always_send: "Always Send",
+        mode: "Mode: {mode}",
+        escalated: "⏫ Not acknowledged for {minutes} min",
+        acknowledged: "✅ {camera} alert acknowledged by {user}",
+        burst_title: "{count} Frigate Alerts",
+        labels: {},
+    },
+    de: {
+        locale: "de-DE",
+        template:
+            "🚨 <b>Frigate-Alarm!</b>\n📷 Kamera: {camera}\n📌 Objekt: {label}\n🏷️ Name: {sub_label}\n📍 Zone: {zones}\n⏳ Zeit: {time}\n⏰ {schedule}",
+        always_send: "Immer senden",
+        mode: "Modus: {mode}",
+        escalated: "⏫ Seit {minutes} Min. nicht bestätigt",
+        acknowledged: "✅ Alarm von {camera} bestätigt von {user}",
+        burst_title: "{count} Frigate-Alarme",
+        labels: {
+            person: "Person",
+            car: "Auto",
+            bicycle: "Fahrrad",
+            motorcycle: "Motorrad",
+            dog: "Hund",
+            cat: "Katze",
+            bird: "Vogel",
+            package: "Paket",
+        },
+    },
+    fr: {
+        locale: "fr-FR",
+        template:
+            "🚨 <b>Alerte Frigate !</b>\n📷 Caméra : {camera}\n📌 Objet : {label}\n🏷️ Nom : {sub_label}\n📍 Zone : {zones}\n⏳ Heure : {time}\n⏰ {schedule}",
+        always_send: "Toujours envoyer",
+        mode: "Mode : {mode}",
+        escalated: "⏫ Non acquittée depuis {minutes} min",
+        acknowledged: "✅ Alerte {camera} acquittée par {user}",
+        burst_title: "{count} alertes Frigate",
+        labels: {
+            person: "personne",
+            car: "voiture",
+            bicycle: "vélo",
+            motorcycle: "moto",
+            dog: "chien",
+            cat: "chat",
+            bird: "oiseau",
+            package: "colis",
+        },
+    },
+    es: {
+        locale: "es-ES",
+        template:
+            "🚨 <b>¡Alerta de Frigate!</b>\n📷 Cámara: {camera}\n📌 Objeto: {label}\n🏷️ Nombre: {sub_label}\n📍 Zona: {zones}\n⏳ Hora: {time}\n⏰ {schedule}",
+        always_send: "Enviar siempre",
+        mode: "Modo: {mode}",
+        escalated: "⏫ Sin confirmar desde hace {minutes} min",
+        acknowledged: "✅ Alerta de {camera} confirmada por {user}",
+        burst_title: "{count} alertas de Frigate",
+        labels: {
+            person: "persona",
+            car: "coche",
+            bicycle: "bicicleta",
+            motorcycle: "moto",
+            dog: "perro",
+            cat: "gato",
+            bird: "pájaro",
+            package: "paquete",
+        },
+    },
+    nl: {
+        locale: "nl-NL",
+        template:
+            "🚨 <b>Frigate-melding!</b>\n📷 Camera: {camera}\n📌 Object: {label}\n🏷️ Naam: {sub_label}\n📍 Zone: {zones}\n⏳ Tijd: {time}\n⏰ {schedule}",
+        always_send: "Altijd versturen",
+        mode: "Modus: {mode}",
+        escalated: "⏫ Al {minutes} min niet bevestigd",
+        acknowledged: "✅ Melding van {camera} bevestigd door {user}",
+        burst_title: "{count} Frigate-meldingen",
+        labels: {
+            person: "persoon",
+            car: "auto",
+            bicycle: "fiets",
+            motorcycle: "motor",
+            dog: "hond",
+            cat: "kat",
+            bird: "vogel",
+            package: "pakket",
+        },
+    },
+};
+
+/**
+ * Escape a value for Telegram HTML, including inside attributes like href="{url}"
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeValue(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Get a built-in language, falling back to English
+ * @param {string} [language]
+ * @returns {Object}
+ */
+function getLanguage(language) {
+    return LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Translate a Frigate label, e.g. "person" → "Person" in German
+ * @param {string} label
+ * @param {string} [language]
+ * @returns {string} the label itself if there's no translation
+ */
+function translateLabel(label, language) {
+    return getLanguage(language).labels[label] || label;
+}
+
+/**
+ * Format an event time for a language and timezone
+ * @param {number} seconds - unix seconds
+ * @param {{language?: string, timezone?: string, time_format?: string}} settings
+ *   time_format is "short", "medium", "long", "full" or a pattern using
+ *   YYYY, MM, DD, HH, mm and ss, e.g. "DD/MM HH:mm"
+ * @returns {string}
+ */
+function formatTime(seconds, { language, timezone, time_format = DEFAULT_TIME_FORMAT }) {
+    const date = new Date(seconds * 1000);
+    const { locale } = getLanguage(language);
+
+    if (TIME_STYLES.includes(time_format)) {
+        return new Intl.DateTimeFormat(locale, {
+            dateStyle: time_format,
+            timeStyle: time_format,
+            timeZone: timezone,
+        }).format(date);
+    }
+
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat("en-US", {
+            timeZone: timezone,
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            second: "2-digit",
+            hourCycle: "h23",
+        })
+            .formatToParts(date)
+            .map((part) => [part.type, part.value])
+    );
+    const tokens = {
+        YYYY: parts.year,
+        MM: parts.month,
+        DD: parts.day,
+        HH: parts.hour,
+        mm: parts.minute,
+        ss: parts.second,
+    };
+    return time_format.replace(TIME_TOKENS, (token) => tokens[token]);
+}
+
+/**
+ * Fill in a template's placeholders, escaping values and leaving out lines
+ * whose placeholders are all empty
+ * @param {string} template
+ * @param {Object} values - placeholder values; null, undefined and "" count as empty
+ * @returns {string}
+ */
+function renderTemplate(template, values) {
+    const isEmpty = (name) => values[name] === undefined || values[name] === null || values[name] === "";
+
+    return template
+        .split("\n")
+        .filter((line) => {
+            const names = [...line.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+            return names.length === 0 || !names.every(isEmpty);
+        })
+        .map((line) =>
+            line.replace(/\{(\w+)\}/g, (placeholder, name) =>
+                name in values ? (isEmpty(name) ? "" : escapeValue(values[name])) : placeholder
+            )
+        )
+        .join("\n");
+}
+
+/**
+ * Fill in the placeholders of a JSON template (webhook body), without escaping
+ * @param {*} template - any JSON value; placeholders are replaced inside strings
+ * @param {Object} values
+ * @returns {*}
+ */
+function renderJsonTemplate(template, values) {
+    if (typeof template === "string") {
+        const whole = template.match(/^\{(\w+)\}$/);
+        if (whole && whole[1] in values) return values[whole[1]] ?? null;
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            name in values ? String(values[name] ?? "") : placeholder
+        );
+    }
+    if (Array.isArray(template)) return template.map((item) => renderJsonTemplate(item, values));
+    if (template && typeof template === "object") {
+        return Object.fromEntries(
+            Object.entries(template).map(([key, value]) => [key, renderJsonTemplate(value, values)])
+        );
+    }
+    return template;
+}
+
+/**
+ * Check a template only uses known placeholders
+ * @param {*} template - a message template string, or a JSON template
+ * @param {Array<string>} [placeholders] - defaults to the message placeholders
+ * @returns {string|null} error message, null if valid
+ */
+function validateTemplate(template, placeholders = PLACEHOLDERS) {
+    const unknown = [...JSON.stringify(template).matchAll(/\{(\w+)\}/g)]
+        .map((match) => match[1])
+        .filter((name) => !placeholders.includes(name));
+    return unknown.length > 0
+        ? `unknown placeholder${unknown.length === 1 ? "" : "s"} ${unknown.map((name) => `{${name}}`).join(", ")} (expected ${placeholders.map((name) => `{${name}}`).join(", ")})`
+        : null;
+}
+
+/**
+ * Build an event's alert message from its message settings
+ * @param {Object} event
+ * @param {{template?: string, language?: string, timezone?: string, time_format?: string, ui_url?: string}} settings
+ * @param {{zones: Array<string>, score: number|null, schedule: string|null, mode?: string|null}} details
+ *   schedule is the schedule description, null for "always send"; mode is the
+ *   active arming mode, shown instead of the schedule
+ * @returns {string}
+ */
+function formatEventMessage(event, settings, details) {
+    const language = getLanguage(settings.language);
+
+    return renderTemplate(settings.template || language.template, {
+        camera: event.camera,
+        // A review segment lists every object seen in it
+        label: (event.labels || [event.label]).map((label) => translateLabel(label, settings.language)).join(", "),
+        sub_label: Array.isArray(event.sub_label) ? event.sub_label[0] : event.sub_label,
+        score: details.score !== null ? `${Math.round(details.score * 100)}%` : null,
+        zones: details.zones.join(", "),
+        time: formatTime(event.start_time, settings),
+        url: settings.ui_url
+            ? `${settings.ui_url}/explore?event_id=${encodeURIComponent(splitName(event.id).name)}`
+            : null,
+        schedule: details.mode
+            ? language.mode.replace("{mode}", details.mode)
+            : details.schedule ?? language.always_send,
+        mode: details.mode,
+        event_id: event.id,
+        instance: event.instance,
+        severity: event.severity,
+    });
+}
+
+/**
+ * Build the title of a burst album, e.g. "3 Frigate Alerts"
+ * @param {number} count
+ * @param {string} [language]
+ * @returns {string}
+ */
+function formatBurstTitle(count, language) {
+    return getLanguage(language).burst_title.replace("{count}", count);
+}
+
+/**
+ * Build the line put above an escalated alert, e.g. "⏫ Not acknowledged for 5 min"
+ * @param {number} minutes - how long the alert went unacknowledged
+ * @param {string} [language]
+ * @returns {string}
+ */
+function formatEscalationNote(minutes, language) {
+    return `<b>${escapeValue(getLanguage(language).escalated.replace("{minutes}", minutes))}</b>`;
+}
+
+/**
+ * Build the notice sent when an escalated alert is acknowledged
+ * @param {string} camera
+ * @param {string} user - who acknowledged it
+ * @param {string} [language]
+ * @returns {string}
+ */
+function formatAcknowledgement(camera, user, language) {
+    return escapeValue(
+        getLanguage(language)
+            .acknowledged.replace("{camera}", () => camera)
+            .replace("{user}", () => user)
+    );
+}
+
+module.exports = {
+    LANGUAGES,
+    PLACEHOLDERS,
+    WEBHOOK_PLACEHOLDERS,
+    translateLabel,
+    formatTime,
+    renderTemplate,
+    renderJsonTemplate,
+    validateTemplate,
+    formatEventMessage,
+    formatBurstTitle,
+    formatEscalationNote,
+    formatAcknowledgement,
+};
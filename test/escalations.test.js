@@ -0,0 +1,98 @@
+const path = require("path");
+process.env.CONFIG_PATH = path.join(__dirname, "fixtures", "config.fixture.json");
+
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { getSection, keepStateInMemory } = require("../state");
+const { registerJobType } = require("../outbox");
+const { startEscalation, acknowledge, checkEscalations } = require("../escalations");
+
+// The fixture's "intruder" policy: front_door alerts to security escalate to
+// family, then neighbours, 5 minutes apart, and go through the chain once more
+const sent = [];
+
+/**
+ * Make an escalation due now and run the escalation check
+ * @param {string} eventId
+ */
+function runDueStep(eventId) {
+    const escalation = getSection("escalations")[eventId];
+    if (escalation.due_at !== null) escalation.due_at = Date.now() - 1;
+    checkEscalations();
+}
+
+/**
+ * Get the groups sent a kind of job for an event, in order
+ * @param {string} kind
+ * @param {string} eventId
+ * @returns {Array<string>}
+ */
+function sentTo(kind, eventId) {
+    return sent.filter((job) => job.kind === kind && job.event_ids.includes(eventId)).map((job) => job.group);
+}
+
+before(() => {
+    keepStateInMemory();
+    for (const kind of ["escalation", "text"]) {
+        registerJobType(kind, async (job, group) => {
+            sent.push({ kind, group: group.name, event_ids: job.event_ids });
+            return { group: group.name, notifier: "ntfy", media: "text", message_ids: [] };
+        });
+    }
+});
+
+describe("escalations", () => {
+    it("only starts for alerts a policy covers", () => {
+        startEscalation({ id: "backyard-1", camera: "backyard", label: "person" }, ["security"]);
+        startEscalation({ id: "front-0", camera: "front_door", label: "person" }, ["family"]);
+        assert.equal(getSection("escalations")["backyard-1"], undefined);
+        assert.equal(getSection("escalations")["front-0"], undefined);
+    });
+
+    it("waits after_minutes before the first step", () => {
+        startEscalation({ id: "front-1", camera: "front_door", label: "person" }, ["security"]);
+        const escalation = getSection("escalations")["front-1"];
+        assert.equal(escalation.step, 0);
+        assert.equal(escalation.round, 0);
+        assert.ok(Math.abs(escalation.due_at - (Date.now() + 5 * 60 * 1000)) < 1000);
+
+        checkEscalations();
+        assert.deepEqual(sentTo("escalation", "front-1"), []);
+    });
+
+    it("walks the chain, repeats it and then stops", () => {
+        const escalation = getSection("escalations")["front-1"];
+        const steps = [];
+        for (let i = 0; i < 5; i++) {
+            runDueStep("front-1");
+            steps.push([escalation.step, escalation.round, escalation.due_at !== null]);
+        }
+
+        assert.deepEqual(sentTo("escalation", "front-1"), ["family", "neighbours", "family", "neighbours"]);
+        assert.deepEqual(steps, [
+            [1, 0, true],
+            [0, 1, true], // end of the chain: back to the start for the repeat
+            [1, 1, true],
+            [2, 1, false], // repeat used up: nothing left to send
+            [2, 1, false],
+        ]);
+        assert.deepEqual(escalation.escalated_to, ["family", "neighbours", "family", "neighbours"]);
+    });
+
+    it("stops on acknowledgement and tells the groups escalated to", () => {
+        startEscalation({ id: "front-2", camera: "front_door", label: "person" }, ["security"]);
+        runDueStep("front-2");
+        assert.deepEqual(sentTo("escalation", "front-2"), ["family"]);
+
+        assert.equal(acknowledge("front-2", "alice").status, "acknowledged");
+        assert.deepEqual(sentTo("text", "front-2"), ["family"]);
+
+        runDueStep("front-2");
+        assert.deepEqual(sentTo("escalation", "front-2"), ["family"]);
+
+        const again = acknowledge("front-2", "bob");
+        assert.equal(again.status, "already_acknowledged");
+        assert.equal(again.acknowledged_by, "alice");
+        assert.equal(acknowledge("missing", "alice").status, "unknown");
+    });
+});
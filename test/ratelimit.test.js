@@ -0,0 +1,46 @@
+const path = require("path");
+process.env.CONFIG_PATH = path.join(__dirname, "fixtures", "config.fixture.json");
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getWaitMs, recordSend } = require("../ratelimit");
+
+// Limits from the fixture: 1 per chat per second, 3 per chat per minute and 2 per
+// second overall. Each test starts a few minutes after the last, so the global
+// window is clear.
+describe("getWaitMs", () => {
+    it("lets a first send through", () => {
+        assert.equal(getWaitMs("ntfy:first", 0), 0);
+    });
+
+    it("waits for the per-chat second window", () => {
+        const start = 1_000_000;
+        recordSend("ntfy:a", start);
+        assert.equal(getWaitMs("ntfy:a", start + 200), 800);
+        assert.equal(getWaitMs("ntfy:a", start + 1000), 0);
+        assert.equal(getWaitMs("ntfy:b", start + 200), 0);
+    });
+
+    it("waits for the oldest send to leave the per-chat minute window", () => {
+        const start = 2_000_000;
+        for (const offset of [0, 1000, 2000]) recordSend("ntfy:c", start + offset);
+        assert.equal(getWaitMs("ntfy:c", start + 3000), 57_000);
+        assert.equal(getWaitMs("ntfy:c", start + 60_000), 0);
+    });
+
+    it("waits for the global limit across chats", () => {
+        const start = 3_000_000;
+        recordSend("ntfy:d", start);
+        recordSend("ntfy:e", start + 100);
+        assert.equal(getWaitMs("ntfy:f", start + 300), 700);
+        assert.equal(getWaitMs("ntfy:f", start + 1000), 0);
+    });
+
+    it("takes the longest wait when several limits apply", () => {
+        const start = 4_000_000;
+        for (const offset of [0, 10_000, 20_000]) recordSend("ntfy:g", start + offset);
+        recordSend("ntfy:h", start + 20_500);
+        // The chat's second window clears at +21s, its minute window only at +60s
+        assert.equal(getWaitMs("ntfy:g", start + 20_600), 39_400);
+    });
+});
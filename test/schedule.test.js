@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { isWithinSchedule } = require("../schedule");
+
+// 2026-12-24 is a Thursday
+const at = (iso) => new Date(`${iso}Z`);
+const schedule = (settings) => ({ timezone: "UTC", exceptions: [], ...settings });
+
+describe("isWithinSchedule", () => {
+    it("matches a same-day window including its ends", () => {
+        const daytime = schedule({ windows: [{ start_time: "08:00", end_time: "17:00" }] });
+        assert.equal(isWithinSchedule(daytime, at("2026-12-24T08:00")), true);
+        assert.equal(isWithinSchedule(daytime, at("2026-12-24T17:00")), true);
+        assert.equal(isWithinSchedule(daytime, at("2026-12-24T07:59")), false);
+        assert.equal(isWithinSchedule(daytime, at("2026-12-24T17:01")), false);
+    });
+
+    it("covers both sides of midnight for a window crossing it", () => {
+        const night = schedule({ windows: [{ start_time: "22:00", end_time: "06:00" }] });
+        assert.equal(isWithinSchedule(night, at("2026-12-24T23:30")), true);
+        assert.equal(isWithinSchedule(night, at("2026-12-25T00:00")), true);
+        assert.equal(isWithinSchedule(night, at("2026-12-25T06:00")), true);
+        assert.equal(isWithinSchedule(night, at("2026-12-25T06:01")), false);
+        assert.equal(isWithinSchedule(night, at("2026-12-24T21:59")), false);
+    });
+
+    it("gives the morning after a midnight-crossing window to the day it started on", () => {
+        const fridayNight = schedule({ windows: [{ days: "fri", start_time: "22:00", end_time: "02:00" }] });
+        assert.equal(isWithinSchedule(fridayNight, at("2026-12-25T23:00")), true); // Friday
+        assert.equal(isWithinSchedule(fridayNight, at("2026-12-26T01:00")), true); // Saturday morning
+        assert.equal(isWithinSchedule(fridayNight, at("2026-12-25T01:00")), false); // Friday morning
+        assert.equal(isWithinSchedule(fridayNight, at("2026-12-26T23:00")), false); // Saturday
+    });
+
+    it("applies windows in the schedule's timezone", () => {
+        const night = schedule({ timezone: "Europe/London", windows: [{ start_time: "22:00", end_time: "06:00" }] });
+        // 21:30 UTC is 22:30 in London in summer, 21:30 in winter
+        assert.equal(isWithinSchedule(night, at("2026-07-01T21:30")), true);
+        assert.equal(isWithinSchedule(night, at("2026-12-01T21:30")), false);
+    });
+
+    it("sends nothing on an exception date without windows", () => {
+        const allDay = schedule({ windows: [{}], exceptions: [{ date: "2026-12-25" }] });
+        assert.equal(isWithinSchedule(allDay, at("2026-12-24T12:00")), true);
+        assert.equal(isWithinSchedule(allDay, at("2026-12-25T12:00")), false);
+        assert.equal(isWithinSchedule(allDay, at("2026-12-26T12:00")), true);
+    });
+
+    it("replaces the regular windows with an exception's over a date range", () => {
+        const holiday = schedule({
+            windows: [{ start_time: "09:00", end_time: "17:00" }],
+            exceptions: [{ from: "2026-08-01", to: "2026-08-14", windows: [{ start_time: "20:00", end_time: "06:00" }] }],
+        });
+        assert.equal(isWithinSchedule(holiday, at("2026-08-01T12:00")), false);
+        assert.equal(isWithinSchedule(holiday, at("2026-08-01T21:00")), true);
+        assert.equal(isWithinSchedule(holiday, at("2026-08-15T05:00")), true); // tail of the last exception night
+        assert.equal(isWithinSchedule(holiday, at("2026-08-15T12:00")), true);
+        assert.equal(isWithinSchedule(holiday, at("2026-08-15T21:00")), false);
+    });
+
+    it("keeps the tail of the night before an exception date", () => {
+        const night = schedule({
+            windows: [{ start_time: "22:00", end_time: "06:00" }],
+            exceptions: [{ dates: ["2026-12-25"] }],
+        });
+        assert.equal(isWithinSchedule(night, at("2026-12-25T05:00")), true);
+        assert.equal(isWithinSchedule(night, at("2026-12-25T23:00")), false);
+        assert.equal(isWithinSchedule(night, at("2026-12-26T05:00")), false);
+    });
+});
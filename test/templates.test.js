@@ -0,0 +1,49 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { renderTemplate, renderJsonTemplate } = require("../templates");
+
+describe("renderTemplate", () => {
+    it("escapes values but not the template's own HTML", () => {
+        assert.equal(
+            renderTemplate("<b>{camera}</b>: {label}", { camera: "<script>alert(1)</script>", label: "R&D" }),
+            "<b>&lt;script&gt;alert(1)&lt;/script&gt;</b>: R&amp;D"
+        );
+    });
+
+    it("escapes quotes so values can't break out of attributes", () => {
+        assert.equal(
+            renderTemplate('<a href="{url}">Open</a>', { url: 'http://x/" onclick="steal()' }),
+            '<a href="http://x/&quot; onclick=&quot;steal()">Open</a>'
+        );
+    });
+
+    it("leaves out lines whose placeholders are all empty", () => {
+        const template = "📷 {camera}\n📍 {zones}\n🏷️ {sub_label} ({score})";
+        assert.equal(
+            renderTemplate(template, { camera: "garage", zones: "", sub_label: null, score: undefined }),
+            "📷 garage"
+        );
+        assert.equal(
+            renderTemplate(template, { camera: "garage", zones: "driveway", sub_label: null, score: 0 }),
+            "📷 garage\n📍 driveway\n🏷️  (0)"
+        );
+    });
+
+    it("keeps unknown placeholders and lines without placeholders", () => {
+        assert.equal(renderTemplate("🚨 Alert\n{nope} {camera}", { camera: "garage" }), "🚨 Alert\n{nope} garage");
+    });
+});
+
+describe("renderJsonTemplate", () => {
+    it("keeps a lone placeholder's type and doesn't escape", () => {
+        assert.deepEqual(
+            renderJsonTemplate({ zones: "{zones}", text: "{label} on {camera}", end: "{end_time}" }, {
+                zones: ["a", "b"],
+                label: "<person>",
+                camera: "R&D",
+                end_time: undefined,
+            }),
+            { zones: ["a", "b"], text: "<person> on R&D", end: null }
+        );
+    });
+});
@@ -0,0 +1,183 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { getVideoConfig } = require("./config");
+
+const FFMPEG_TIMEOUT_MS = 2 * 60 * 1000;
+const AUDIO_KBPS = 64;
+const MIN_VIDEO_KBPS = 100;
+const SIZE_HEADROOM = 0.9; // bitrate targets are approximate, leave room for container overhead
+const THUMBNAIL_SIZE = 320; // Telegram's limit for video thumbnails
+
+// Whether ffmpeg could be run, per ffmpeg_path (checked once)
+const ffmpegChecks = new Map();
+
+/**
+ * Run ffmpeg, overwriting outputs and only printing errors
+ * @param {string} ffmpegPath
+ * @param {Array<string>} args
+ * @returns {Promise<void>}
+ */
+function runFfmpeg(ffmpegPath, args) {
+    return new Promise((resolve, reject) => {
+        execFile(
+            ffmpegPath,
+            ["-y", "-v", "error", ...args],
+            { timeout: FFMPEG_TIMEOUT_MS, maxBuffer: 1024 * 1024 },
+            (error, stdout, stderr) => {
+                if (!error) return resolve();
+                const detail = String(stderr).trim().split("\n").pop() || error.message;
+                reject(new Error(`ffmpeg failed: ${detail}`));
+            }
+        );
+    });
+}
+
+/**
+ * Check ffmpeg can be run, warning once if it can't
+ * @param {string} ffmpegPath
+ * @returns {Promise<boolean>}
+ */
+function isFfmpegAvailable(ffmpegPath) {
+    if (!ffmpegChecks.has(ffmpegPath)) {
+        ffmpegChecks.set(
+            ffmpegPath,
+            runFfmpeg(ffmpegPath, ["-version"]).then(
+                () => true,
+                () => {
+                    console.log(`⚠️ ffmpeg not found at "${ffmpegPath}": clips are sent as downloaded, without trimming, re-encoding, thumbnails or previews`);
+                    return false;
+                }
+            )
+        );
+    }
+    return ffmpegChecks.get(ffmpegPath);
+}
+
+/**
+ * Run a function with a temporary directory that is removed afterwards
+ * @param {Function} fn - async (dir) => result
+ * @returns {Promise<*>} fn's result
+ */
+async function withTempDir(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "frigate-clip-"));
+    try {
+        return await fn(dir);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Work out the video bitrate that fits a clip into a size limit
+ * @param {number} maxBytes
+ * @param {number} duration - seconds
+ * @returns {number} kbit/s
+ */
+function getTargetKbps(maxBytes, duration) {
+    const totalKbps = ((maxBytes * 8) / 1000 / Math.max(duration, 1)) * SIZE_HEADROOM;
+    return Math.max(Math.floor(totalKbps - AUDIO_KBPS), MIN_VIDEO_KBPS);
+}
+
+/**
+ * Make a clip fit the configured duration and size limits: trim it (no
+ * re-encoding) if too long, re-encode it at a lower bitrate if still too big,
+ * and grab a thumbnail. Without ffmpeg, or if ffmpeg fails, the clip is
+ * returned unchanged and the size limits decide whether it can be sent.
+ * @param {Buffer} buffer - MP4 clip
+ * @param {number} duration - clip length in seconds
+ * @returns {Promise<{buffer: Buffer, duration: number, thumbnail?: Buffer}>}
+ */
+async function prepareClip(buffer, duration) {
+    const video = getVideoConfig();
+    if (!(await isFfmpegAvailable(video.ffmpeg_path))) return { buffer, duration };
+
+    const length = Math.min(duration, video.max_duration_seconds);
+    try {
+        return await withTempDir(async (dir) => {
+            const input = path.join(dir, "input.mp4");
+            await fs.writeFile(input, buffer);
+            let output = input;
+
+            if (duration > video.max_duration_seconds) {
+                output = path.join(dir, "trimmed.mp4");
+                await runFfmpeg(video.ffmpeg_path, [
+                    "-i", input, "-t", String(length), "-c", "copy", "-movflags", "+faststart", output,
+                ]);
+            }
+
+            const size = (await fs.stat(output)).size;
+            if (size > video.max_bytes && video.transcode) {
+                const encoded = path.join(dir, "encoded.mp4");
+                const kbps = getTargetKbps(video.max_bytes, length);
+                console.log(`🎞️ Re-encoding ${(size / 1024 / 1024).toFixed(1)}MB clip at ${kbps}kbit/s to fit ${video.max_bytes / 1024 / 1024}MB`);
+                await runFfmpeg(video.ffmpeg_path, [
+                    "-i", output, "-t", String(length),
+                    "-map", "0:v:0", "-map", "0:a:0?",
+                    "-vf", "scale='min(1280,iw)':-2",
+                    "-c:v", "libx264", "-preset", "veryfast", "-pix_fmt", "yuv420p",
+                    "-b:v", `${kbps}k`, "-maxrate", `${kbps}k`, "-bufsize", `${kbps * 2}k`,
+                    "-c:a", "aac", "-b:a", `${AUDIO_KBPS}k`,
+                    "-movflags", "+faststart", encoded,
+                ]);
+                output = encoded;
+            }
+
+            const thumbnail = path.join(dir, "thumbnail.jpg");
+            await runFfmpeg(video.ffmpeg_path, [
+                "-ss", String(Math.min(1, length / 2)), "-i", output, "-frames:v", "1",
+                "-vf", `scale=${THUMBNAIL_SIZE}:${THUMBNAIL_SIZE}:force_original_aspect_ratio=decrease`,
+                "-q:v", "5", thumbnail,
+            ]);
+
+            return {
+                buffer: await fs.readFile(output),
+                duration: Math.round(length),
+                thumbnail: await fs.readFile(thumbnail),
+            };
+        });
+    } catch (error) {
+        console.error(`❌ Could not process clip, sending it as downloaded: ${error.message}`);
+        return { buffer, duration };
+    }
+}
+
+/**
+ * Make a short, silent preview of the start of a clip
+ * @param {Buffer} buffer - MP4 clip
+ * @returns {Promise<{buffer: Buffer, animation: boolean}>}
+ * @throws if ffmpeg isn't available or fails
+ */
+async function makePreview(buffer) {
+    const video = getVideoConfig();
+    const { format, duration_seconds, width } = video.preview;
+    if (!(await isFfmpegAvailable(video.ffmpeg_path))) {
+        throw new Error("ffmpeg is needed for previews");
+    }
+
+    return withTempDir(async (dir) => {
+        const input = path.join(dir, "input.mp4");
+        const output = path.join(dir, `preview.${format}`);
+        await fs.writeFile(input, buffer);
+
+        const encoding =
+            format === "gif"
+                ? [
+                      "-vf", `fps=10,scale=${width}:-1:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse`,
+                      "-loop", "0",
+                  ]
+                : [
+                      "-an", "-vf", `scale=${width}:-2`,
+                      "-c:v", "libx264", "-preset", "veryfast", "-crf", "28", "-pix_fmt", "yuv420p",
+                      "-movflags", "+faststart",
+                  ];
+        await runFfmpeg(video.ffmpeg_path, ["-i", input, "-t", String(duration_seconds), ...encoding, output]);
+        return { buffer: await fs.readFile(output), animation: true };
+    });
+}
+
+module.exports = {
+    prepareClip,
+    makePreview,
+};
@@ -0,0 +1,164 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const { getWebhooks, getEventZones, getMessageConfig, matchesFilter, matchesEvent } = require("./config");
+const { getEventScore } = require("./filters");
+const { renderJsonTemplate } = require("./templates");
+const { splitName } = require("./instances");
+const { timed, webhookDeliveries, webhookRetries, webhookDuration } = require("./metrics");
+
+const DEFAULT_TIMEOUT_SECONDS = 10;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_SECONDS = 2;
+
+// Body sent when a webhook doesn't set its own
+const DEFAULT_BODY = {
+    event_id: "{event_id}",
+    camera: "{camera}",
+    label: "{label}",
+    start_time: "{start_time}",
+    end_time: "{end_time}",
+    zones: "{zones}",
+    groups: "{groups}",
+    instance: "{instance}",
+};
+
+/**
+ * Check if an event passes a webhook's filters (an empty or missing filter matches
+ * everything). A review segment matches labels by any of its objects.
+ * @param {Object} webhook
+ * @param {Object} event
+ * @param {Array<string>} groupNames - groups being alerted
+ * @returns {boolean}
+ */
+function matchesFilters(webhook, event, groupNames) {
+    return matchesEvent(webhook, event) && matchesFilter(webhook.groups, groupNames);
+}
+
+/**
+ * Get the placeholder values for a webhook body
+ * @param {Object} event
+ * @param {Array<string>} groupNames
+ * @returns {Object}
+ */
+function getPayloadValues(event, groupNames) {
+    const { ui_url } = getMessageConfig(event.camera);
+    return {
+        event_id: event.id,
+        camera: event.camera,
+        label: event.label,
+        sub_label: Array.isArray(event.sub_label) ? event.sub_label[0] : event.sub_label ?? null,
+        score: getEventScore(event),
+        zones: getEventZones(event),
+        groups: groupNames,
+        start_time: event.start_time,
+        end_time: event.end_time ?? null,
+        time: new Date(event.start_time * 1000).toISOString(),
+        url: ui_url ? `${ui_url}/explore?event_id=${encodeURIComponent(splitName(event.id).name)}` : null,
+        instance: event.instance ?? null,
+        severity: event.severity ?? null,
+        labels: event.labels || [event.label],
+    };
+}
+
+/**
+ * Sign a request body: HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret
+ * @param {string} secret
+ * @param {string} timestamp - unix seconds
+ * @param {string} body
+ * @returns {string} hex digest
+ */
+function sign(secret, timestamp, body) {
+    return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Check if a failed request is worth retrying: network errors, timeouts, 429 and 5xx
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Deliver an event to one webhook, retrying with exponential backoff
+ * @param {Object} webhook
+ * @param {Object} event
+ * @param {Array<string>} groupNames
+ * @returns {Promise<boolean>} true if delivered
+ */
+async function deliver(webhook, event, groupNames) {
+    const body = JSON.stringify(
+        renderJsonTemplate(webhook.body ?? DEFAULT_BODY, getPayloadValues(event, groupNames))
+    );
+    const retries = webhook.retries ?? DEFAULT_RETRIES;
+    const baseDelayMs = (webhook.retry_delay_seconds ?? DEFAULT_RETRY_DELAY_SECONDS) * 1000;
+    const labels = { webhook: webhook.name };
+
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+        const headers = { "Content-Type": "application/json", ...webhook.headers };
+        if (webhook.secret) {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            headers["X-Signature-Timestamp"] = timestamp;
+            headers["X-Signature-256"] = `sha256=${sign(webhook.secret, timestamp, body)}`;
+        }
+
+        try {
+            const response = await timed(webhookDuration, labels, () =>
+                axios.request({
+                    method: webhook.method || "POST",
+                    url: webhook.url,
+                    data: body,
+                    headers,
+                    timeout: (webhook.timeout_seconds ?? DEFAULT_TIMEOUT_SECONDS) * 1000,
+                })
+            );
+            webhookDeliveries.inc({ ...labels, result: "success" });
+            console.log(`✅ Webhook ${webhook.name} delivered for event ${event.id} (HTTP ${response.status})`);
+            return true;
+        } catch (error) {
+            const errMsg = error.response ? `HTTP ${error.response.status}` : error.message;
+            if (attempt <= retries && isRetryable(error)) {
+                const delay = baseDelayMs * 2 ** (attempt - 1);
+                webhookRetries.inc(labels);
+                console.log(`⏳ Webhook ${webhook.name} attempt ${attempt}/${retries + 1} failed (${errMsg}), retrying in ${delay / 1000}s...`);
+                await new Promise((r) => setTimeout(r, delay));
+                continue;
+            }
+            webhookDeliveries.inc({ ...labels, result: "failure" });
+            console.error(`❌ Webhook ${webhook.name} failed for event ${event.id} after ${attempt} attempt(s): ${errMsg}`);
+            return false;
+        }
+    }
+    return false;
+}
+
+/**
+ * Send an alerted event to every webhook whose filters it passes
+ * @param {Object} event
+ * @param {Array<string>} groupNames - groups being alerted
+ * @returns {Promise<void>}
+ */
+async function triggerWebhooks(event, groupNames) {
+    const webhooks = getWebhooks().filter((webhook) => matchesFilters(webhook, event, groupNames));
+    await Promise.all(webhooks.map((webhook) => deliver(webhook, event, groupNames)));
+}
+
+/**
+ * Describe a webhook for the startup summary, e.g. "alarm → https://… (cameras: front_door)"
+ * @param {Object} webhook
+ * @returns {string}
+ */
+function describeWebhook(webhook) {
+    const filters = ["cameras", "labels", "zones", "groups"]
+        .filter((key) => webhook[key]?.length)
+        .map((key) => `${key}: ${webhook[key].join(", ")}`);
+    const signed = webhook.secret ? " [signed]" : "";
+    return `${webhook.name} → ${webhook.url}${signed}${filters.length ? ` (${filters.join("; ")})` : ""}`;
+}
+
+module.exports = {
+    triggerWebhooks,
+    describeWebhook,
+};